@@ -0,0 +1,101 @@
+/**
+ * Anomalies module - flags units whose consumption is unusual compared to their own history
+ *
+ * Each unit's per-day consumption is compared with its previous bills of the same type:
+ * the latest HISTORY_WINDOW bills that ended before this bill's period began. A value is
+ * unusual when it is more than `deviations` standard deviations from the average and also
+ * differs from it by at least `minChange` percent, so a very steady history doesn't flag
+ * small changes. Per-day figures keep bills of different lengths comparable.
+ */
+
+const Anomalies = {
+    HISTORY_WINDOW: 6,
+    MIN_HISTORY: 3,
+
+    HINTS: {
+        electricity: {
+            high: 'אולי מכשיר שנשאר דולק (דוד, מזגן, תנור חימום)',
+            low: 'כדאי לוודא שקריאת המונה נכונה'
+        },
+        water: {
+            high: 'ייתכן שיש נזילה - כדאי לבדוק ברזים, ניאגרות ודוד',
+            low: 'כדאי לוודא שקריאת המונה נכונה'
+        }
+    },
+
+    /**
+     * Per-day consumption of a unit in the bills before the given period, oldest first
+     * @param {Array} history - Saved calculations, newest first (Storage.getAll())
+     * @param {string} billType - 'electricity' or 'water'
+     * @param {Object} period - Period of the bill being checked { start, end }
+     * @param {string} unitId - Unit to collect
+     * @returns {Array} Per-day consumption values
+     */
+    getUnitHistory(history, billType, period, unitId) {
+        return Stats.uniqueBills(history)
+            .filter(entry => entry.billType === billType && entry.period && entry.period.end < period.start)
+            .sort((a, b) => b.period.end.localeCompare(a.period.end))
+            .slice(0, this.HISTORY_WINDOW)
+            .map(entry => entry.units.find(unit => unit.id === unitId)?.perDay?.consumption)
+            .filter(value => typeof value === 'number')
+            .reverse();
+    },
+
+    /**
+     * Check every unit of a calculation against its own history
+     * @param {Object} result - Result of Calculator.calculate()
+     * @param {Array} history - Saved calculations, newest first
+     * @param {Object} thresholds - { deviations, minChange } (see Settings.getAnomalyThresholds())
+     * @returns {Array} Unusual units: { unitId, unitName, direction: 'high' | 'low', perDay,
+     *                  average, ratio, deviations, samples, message }
+     */
+    check(result, history, thresholds) {
+        const anomalies = [];
+
+        result.units.forEach(unit => {
+            const values = this.getUnitHistory(history, result.billType, result.period, unit.id);
+            if (values.length < this.MIN_HISTORY) return;
+
+            const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+            if (average <= 0) return;
+
+            const variance = values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / values.length;
+            const std = Math.sqrt(variance);
+            const perDay = unit.perDay.consumption;
+            const deviations = std > 0 ? Math.abs(perDay - average) / std : Infinity;
+            const changePercent = Math.abs(perDay - average) / average * 100;
+
+            if (deviations <= thresholds.deviations || changePercent < thresholds.minChange) return;
+
+            const direction = perDay > average ? 'high' : 'low';
+            anomalies.push({
+                unitId: unit.id,
+                unitName: unit.name,
+                direction,
+                perDay,
+                average: Math.round(average * 1000) / 1000,
+                ratio: Math.round(perDay / average * 100) / 100,
+                deviations: std > 0 ? Math.round(deviations * 10) / 10 : null,
+                samples: values.length,
+                message: this.describe(result, unit.name, direction, perDay, average, values.length)
+            });
+        });
+
+        return anomalies;
+    },
+
+    /**
+     * Explain an unusual value in words
+     */
+    describe(result, unitName, direction, perDay, average, samples) {
+        const unitLabel = result.unitLabel;
+        const roundedAverage = Math.round(average * 1000) / 1000;
+        const comparison = direction === 'high'
+            ? `פי ${(perDay / average).toFixed(1)} מהממוצע`
+            : `נמוכה ב-${Math.round((1 - perDay / average) * 100)}% מהממוצע`;
+
+        return `⚠️ ${unitName}: צריכה יומית ${perDay} ${unitLabel} - ${comparison} ` +
+            `(${roundedAverage} ${unitLabel} ליום ב-${samples} החשבונות הקודמים). ` +
+            this.HINTS[result.billType][direction];
+    }
+};
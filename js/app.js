@@ -7,24 +7,60 @@
 
     // === Constants ===
     const LAST_READINGS_KEY = 'utility_last_readings';
+    const MAIN_METER_ID = 'main';
 
     // === State ===
     let currentBillType = 'electricity';
     let lastResult = null;
+    let units = Settings.getUnits();
+    let lineItems = [];
+    let occupancyChanges = [];
+    let editingEntry = null;
+    // Compressed photos attached to the next calculation: { receipt, meters: { [unitId]: ... } }
+    let photos = { receipt: null, meters: {} };
+    let meterPhotoUnit = null;
+    // Last meter photo and the region marked on it ({ x, y, width, height } as fractions), for reading it again
+    let meterFile = null;
+    let cameraTorchOn = false;
+    let meterCrop = null;
 
     // === DOM Elements ===
     const elements = {
         // Tabs
         tabBtns: document.querySelectorAll('.tab-btn'),
         calculatorTab: document.getElementById('calculator-tab'),
+        editBanner: document.getElementById('editBanner'),
+        editBannerText: document.getElementById('editBannerText'),
+        cancelEdit: document.getElementById('cancelEdit'),
         historyTab: document.getElementById('history-tab'),
+        statsTab: document.getElementById('stats-tab'),
+        paymentsTab: document.getElementById('payments-tab'),
+        balancesList: document.getElementById('balancesList'),
+        settlementMonth: document.getElementById('settlementMonth'),
+        settlementList: document.getElementById('settlementList'),
+        settlementShareBtn: document.getElementById('settlementShareBtn'),
+        annualUnit: document.getElementById('annualUnit'),
+        annualYear: document.getElementById('annualYear'),
+        annualStatementBtn: document.getElementById('annualStatementBtn'),
+
+        // Properties
+        propertySelect: document.getElementById('propertySelect'),
+        propertyName: document.getElementById('propertyName'),
+        deleteProperty: document.getElementById('deleteProperty'),
 
         // Setup
         setupScreen: document.getElementById('setupScreen'),
-        setupElecMain: document.getElementById('setupElecMain'),
-        setupElecSub: document.getElementById('setupElecSub'),
-        setupWaterMain: document.getElementById('setupWaterMain'),
-        setupWaterSub: document.getElementById('setupWaterSub'),
+        setupUnitsList: document.getElementById('setupUnitsList'),
+        anomalyThresholdInputs: document.querySelectorAll('.anomaly-threshold-input'),
+        statementDueDays: document.getElementById('statementDueDays'),
+        setupAddUnit: document.getElementById('setupAddUnit'),
+        setupCommonMetersList: document.getElementById('setupCommonMetersList'),
+        setupAddCommonMeter: document.getElementById('setupAddCommonMeter'),
+        setupRatesList: document.getElementById('setupRatesList'),
+        rateBillType: document.getElementById('rateBillType'),
+        rateEffectiveFrom: document.getElementById('rateEffectiveFrom'),
+        rateFields: document.getElementById('rateFields'),
+        addRateBtn: document.getElementById('addRateBtn'),
         setupSaveBtn: document.getElementById('setupSaveBtn'),
         setupSkipBtn: document.getElementById('setupSkipBtn'),
         openSetup: document.getElementById('openSetup'),
@@ -36,12 +72,40 @@
         totalBill: document.getElementById('totalBill'),
         totalConsumption: document.getElementById('totalConsumption'),
         totalConsumptionLabel: document.getElementById('totalConsumptionLabel'),
-
-        // Sub meter
-        subMeterPrev: document.getElementById('subMeterPrev'),
-        subMeterCurr: document.getElementById('subMeterCurr'),
-        subConsumption: document.getElementById('subConsumption'),
-        subConsumptionValue: document.getElementById('subConsumptionValue'),
+        mainMeterSection: document.getElementById('mainMeterSection'),
+        mainMeterPrev: document.getElementById('mainMeterPrev'),
+        mainMeterCurr: document.getElementById('mainMeterCurr'),
+        mainMeterEstimated: document.getElementById('mainMeterEstimated'),
+        mainMeterUseReconciled: document.getElementById('mainMeterUseReconciled'),
+        mainMeterStatus: document.getElementById('mainMeterStatus'),
+        periodStart: document.getElementById('periodStart'),
+        periodEnd: document.getElementById('periodEnd'),
+        touSection: document.getElementById('touSection'),
+        touEnabled: document.getElementById('touEnabled'),
+        touBandsGroup: document.getElementById('touBandsGroup'),
+        touBandInputs: document.querySelectorAll('.tou-band-input'),
+        billMonthsGroup: document.getElementById('billMonthsGroup'),
+        billMonths: document.getElementById('billMonths'),
+
+        // Bill components
+        lineItemsList: document.getElementById('lineItemsList'),
+        addLineItem: document.getElementById('addLineItem'),
+        lineItemsRemaining: document.getElementById('lineItemsRemaining'),
+        lineItemsRemainingValue: document.getElementById('lineItemsRemainingValue'),
+
+        // Sub meters
+        subMetersList: document.getElementById('subMetersList'),
+        commonMetersList: document.getElementById('commonMetersList'),
+        meterTarget: document.getElementById('meterTarget'),
+        cameraBtn: document.getElementById('cameraBtn'),
+        cameraView: document.getElementById('cameraView'),
+        cameraVideo: document.getElementById('cameraVideo'),
+        cameraFrame: document.getElementById('cameraFrame'),
+        cameraStatus: document.getElementById('cameraStatus'),
+        cameraTorch: document.getElementById('cameraTorch'),
+        cameraClose: document.getElementById('cameraClose'),
+        updateBanner: document.getElementById('updateBanner'),
+        updateApp: document.getElementById('updateApp'),
 
         // Receipt OCR
         receiptImage: document.getElementById('receiptImage'),
@@ -52,27 +116,37 @@
 
         // Meter OCR
         meterImage: document.getElementById('meterImage'),
+        meterOcrMode: document.getElementById('meterOcrMode'),
+        cropBox: document.getElementById('cropBox'),
+        cropActions: document.getElementById('cropActions'),
+        rereadMeter: document.getElementById('rereadMeter'),
         ocrStatus: document.getElementById('ocrStatus'),
         imagePreview: document.getElementById('imagePreview'),
         previewImg: document.getElementById('previewImg'),
         removeImage: document.getElementById('removeImage'),
 
+        // Tenant changes
+        occupancyList: document.getElementById('occupancyList'),
+        addOccupancyChange: document.getElementById('addOccupancyChange'),
+
         // Calculate
         calculateBtn: document.getElementById('calculateBtn'),
 
         // Results
         resultsSection: document.getElementById('resultsSection'),
-        unit1Amount: document.getElementById('unit1Amount'),
-        unit1Percent: document.getElementById('unit1Percent'),
-        unit2Amount: document.getElementById('unit2Amount'),
-        unit2Percent: document.getElementById('unit2Percent'),
+        resultUnits: document.getElementById('resultUnits'),
         detailTotal: document.getElementById('detailTotal'),
         detailTotalConsumption: document.getElementById('detailTotalConsumption'),
-        detailUnit2Consumption: document.getElementById('detailUnit2Consumption'),
-        detailUnit1Consumption: document.getElementById('detailUnit1Consumption'),
+        detailPeriod: document.getElementById('detailPeriod'),
+        detailPerDay: document.getElementById('detailPerDay'),
+        detailUnits: document.getElementById('detailUnits'),
+        detailCommonAreas: document.getElementById('detailCommonAreas'),
+        detailLineItems: document.getElementById('detailLineItems'),
         detailActualRate: document.getElementById('detailActualRate'),
         detailOfficialRate: document.getElementById('detailOfficialRate'),
         rateStatus: document.getElementById('rateStatus'),
+        mainMeterResult: document.getElementById('mainMeterResult'),
+        anomalyStatus: document.getElementById('anomalyStatus'),
 
         // Actions
         saveResult: document.getElementById('saveResult'),
@@ -80,14 +154,38 @@
 
         // History
         historyList: document.getElementById('historyList'),
-        clearHistory: document.getElementById('clearHistory')
+        clearHistory: document.getElementById('clearHistory'),
+
+        // Backup
+        exportJson: document.getElementById('exportJson'),
+        exportCsv: document.getElementById('exportCsv'),
+        importFile: document.getElementById('importFile'),
+
+        // Statistics
+        statsTypeBtns: document.querySelectorAll('.stats-type-btn'),
+        statsEmpty: document.getElementById('statsEmpty'),
+        statsCharts: document.getElementById('statsCharts'),
+        statsConsumptionTitle: document.getElementById('statsConsumptionTitle'),
+        statsConsumptionChart: document.getElementById('statsConsumptionChart'),
+        statsConsumptionLegend: document.getElementById('statsConsumptionLegend'),
+        statsCostChart: document.getElementById('statsCostChart'),
+        statsCostLegend: document.getElementById('statsCostLegend'),
+        statsYearTitle: document.getElementById('statsYearTitle'),
+        statsYearChart: document.getElementById('statsYearChart'),
+        statsYearLegend: document.getElementById('statsYearLegend'),
+        statsPriceTitle: document.getElementById('statsPriceTitle'),
+        statsPriceChart: document.getElementById('statsPriceChart'),
+        statsCompareChart: document.getElementById('statsCompareChart'),
+        statsCompareLegend: document.getElementById('statsCompareLegend')
     };
 
     // === Last Readings Management ===
+    // Stored per bill type and unit id: { electricity: { unit2: 12450 }, water: { ... } },
+    // with the main meter's reading under MAIN_METER_ID
     function getLastReadings() {
         try {
-            const data = localStorage.getItem(LAST_READINGS_KEY);
-            return data ? JSON.parse(data) : null;
+            const data = localStorage.getItem(Properties.key(LAST_READINGS_KEY));
+            return data ? migrateLastReadings(JSON.parse(data)) : null;
         } catch (e) {
             return null;
         }
@@ -95,16 +193,32 @@
 
     function saveLastReadings(readings) {
         try {
-            localStorage.setItem(LAST_READINGS_KEY, JSON.stringify(readings));
+            localStorage.setItem(Properties.key(LAST_READINGS_KEY), JSON.stringify(readings));
         } catch (e) {
             console.error('Error saving last readings:', e);
         }
     }
 
+    // Readings saved before multi-unit support held a single `sub` value (unit 2)
+    function migrateLastReadings(readings) {
+        Object.values(readings).forEach(typeReadings => {
+            if (typeReadings && 'sub' in typeReadings) {
+                typeReadings.unit2 = typeReadings.sub;
+                delete typeReadings.sub;
+            }
+        });
+        return readings;
+    }
+
     function initSetup() {
         // Check if first time (no saved readings)
         const savedReadings = getLastReadings();
         if (!savedReadings) {
+            renderSetupUnits(units, {});
+            renderSetupCommonMeters(Settings.getCommonMeters(), units, {});
+            renderAnomalyThresholds();
+            renderPropertySetup();
+            elements.statementDueDays.value = Settings.getStatementDueDays();
             showSetupScreen();
         } else {
             applyLastReadings(savedReadings);
@@ -112,16 +226,46 @@
 
         // Save button
         elements.setupSaveBtn.addEventListener('click', () => {
-            const readings = {
-                electricity: {
-                    sub: parseFloat(elements.setupElecSub.value) || 0
-                },
-                water: {
-                    sub: parseFloat(elements.setupWaterSub.value) || 0
-                }
-            };
-            saveLastReadings(readings);
-            applyLastReadings(readings);
+            const setup = readSetupUnits();
+            const commonMeters = readSetupCommonMeters(setup.readings);
+            if (setup.units.length < 2) {
+                showToast('יש להגדיר לפחות שתי יחידות דיור', 'error');
+                return;
+            }
+
+            const thresholds = readAnomalyThresholds();
+            if (!thresholds) {
+                showToast('יש להזין ספי התראה חיוביים', 'error');
+                return;
+            }
+
+            const dueDays = parseInt(elements.statementDueDays.value, 10);
+            if (isNaN(dueDays) || dueDays < 0) {
+                showToast('יש להזין מספר ימים לתשלום', 'error');
+                return;
+            }
+
+            const propertyName = elements.propertyName.value.trim();
+            if (!propertyName) {
+                showToast('יש להזין שם לנכס', 'error');
+                return;
+            }
+
+            units = setup.units;
+            Settings.saveUnits(units);
+            Settings.saveCommonMeters(commonMeters);
+            Settings.saveAnomalyThresholds(thresholds);
+            Settings.saveStatementDueDays(dueDays);
+            Properties.rename(Properties.getActiveId(), propertyName);
+            renderPropertySwitcher();
+            saveLastReadings(setup.readings);
+            renderSubMeters();
+            renderCommonMeters();
+            renderLineItems();
+            renderOccupancyChanges();
+            applyLastReadings(setup.readings);
+            elements.resultsSection.style.display = 'none';
+            lastResult = null;
             hideSetupScreen();
             showToast('✅ הקריאות נשמרו בהצלחה!');
         });
@@ -133,13 +277,340 @@
 
         // Open setup from settings button
         elements.openSetup.addEventListener('click', () => {
-            const saved = getLastReadings();
-            if (saved) {
-                elements.setupElecSub.value = saved.electricity?.sub || '';
-                elements.setupWaterSub.value = saved.water?.sub || '';
-            }
+            renderSetupUnits(units, getLastReadings() || {});
+            renderSetupCommonMeters(Settings.getCommonMeters(), units, getLastReadings() || {});
+            renderAnomalyThresholds();
+            renderPropertySetup();
+            elements.statementDueDays.value = Settings.getStatementDueDays();
+            renderRateHistory();
             showSetupScreen();
         });
+
+        elements.setupAddUnit.addEventListener('click', () => {
+            const setup = readSetupUnits();
+            setup.units.push({
+                id: Settings.nextUnitId(setup.units),
+                name: `יחידה ${setup.units.length + 1}`,
+                remainder: false
+            });
+            renderSetupUnits(setup.units, setup.readings);
+            refreshSetupCommonMeters();
+        });
+
+        elements.setupUnitsList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.unit-remove-btn');
+            if (!removeBtn) return;
+
+            const setup = readSetupUnits();
+            if (setup.units.length <= 2) {
+                showToast('יש להגדיר לפחות שתי יחידות דיור', 'error');
+                return;
+            }
+
+            const remaining = setup.units.filter(unit => unit.id !== removeBtn.dataset.id);
+            if (!remaining.some(unit => unit.remainder)) {
+                remaining[0].remainder = true;
+            }
+            renderSetupUnits(remaining, setup.readings);
+            refreshSetupCommonMeters();
+        });
+
+        // Remainder unit has no sub meter, so it has no readings to enter
+        elements.setupUnitsList.addEventListener('change', (e) => {
+            if (e.target.name === 'remainderUnit') {
+                const setup = readSetupUnits();
+                renderSetupUnits(setup.units, setup.readings);
+            }
+        });
+
+        elements.setupAddCommonMeter.addEventListener('click', () => {
+            const readings = {};
+            const meters = readSetupCommonMeters(readings);
+            meters.push({
+                id: Settings.nextCommonMeterId(meters),
+                name: 'חדר מדרגות',
+                billType: 'electricity',
+                policy: 'equal'
+            });
+            renderSetupCommonMeters(meters, readSetupUnits().units, readings);
+        });
+
+        elements.setupCommonMetersList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.common-meter-remove-btn');
+            if (!removeBtn) return;
+
+            const readings = {};
+            const meters = readSetupCommonMeters(readings).filter(meter => meter.id !== removeBtn.dataset.id);
+            renderSetupCommonMeters(meters, readSetupUnits().units, readings);
+        });
+
+        // Percent inputs are only shown for the percent policy
+        elements.setupCommonMetersList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('common-meter-policy')) {
+                refreshSetupCommonMeters();
+            }
+        });
+    }
+
+    function renderAnomalyThresholds() {
+        elements.anomalyThresholdInputs.forEach(input => {
+            input.value = Settings.getAnomalyThresholds(input.dataset.type)[input.dataset.field];
+        });
+    }
+
+    function readAnomalyThresholds() {
+        const thresholds = {};
+        for (const input of elements.anomalyThresholdInputs) {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < 0) return null;
+            thresholds[input.dataset.type] = thresholds[input.dataset.type] || {};
+            thresholds[input.dataset.type][input.dataset.field] = value;
+        }
+        return thresholds;
+    }
+
+    function renderSetupUnits(setupUnits, readings) {
+        elements.setupUnitsList.innerHTML = setupUnits.map(unit => `
+            <div class="unit-row" data-id="${unit.id}">
+                <div class="unit-row-header">
+                    <input type="text" class="unit-name-input" value="${escapeHtml(unit.name)}" placeholder="שם היחידה">
+                    <label class="unit-remainder-label">
+                        <input type="radio" name="remainderUnit" value="${unit.id}" ${unit.remainder ? 'checked' : ''}>
+                        הפרש
+                    </label>
+                    <button class="unit-remove-btn" data-id="${unit.id}" title="הסר יחידה">✕</button>
+                </div>
+                <label class="checkbox-label unit-track-payments">
+                    <input type="checkbox" class="unit-track-payments-input" ${Payments.isTracked(unit) ? 'checked' : ''}>
+                    💳 מעקב תשלומים ליחידה זו
+                </label>
+                <div class="form-row">
+                    <div class="form-group unit-residents">
+                        <label>👥 מספר נפשות (לתעריף המים המדורג)</label>
+                        <input type="number" class="unit-residents-input" value="${unit.residents ?? ''}" placeholder="למשל: 3" min="0" step="1">
+                    </div>
+                    <div class="form-group">
+                        <label>📐 שטח במ"ר (למונים משותפים)</label>
+                        <input type="number" class="unit-area-input" value="${unit.area ?? ''}" placeholder="למשל: 85" min="0" step="0.1">
+                    </div>
+                </div>
+                <div class="form-row unit-readings" ${unit.remainder ? 'style="display:none;"' : ''}>
+                    <div class="form-group">
+                        <label>💡 קריאה אחרונה - חשמל</label>
+                        <input type="number" data-type="electricity" value="${readings.electricity?.[unit.id] ?? ''}" placeholder="למשל: 12450" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label>💧 קריאה אחרונה - מים</label>
+                        <input type="number" data-type="water" value="${readings.water?.[unit.id] ?? ''}" placeholder="למשל: 340" min="0">
+                    </div>
+                </div>
+                <div class="form-row unit-digits" ${unit.remainder ? 'style="display:none;"' : ''}>
+                    <div class="form-group">
+                        <label>🔢 ספרות במונה החשמל</label>
+                        <input type="number" data-type="electricity" value="${unit.meterDigits?.electricity ?? ''}" placeholder="למשל: 5" min="1" max="9" step="1">
+                    </div>
+                    <div class="form-group">
+                        <label>🔢 ספרות במונה המים</label>
+                        <input type="number" data-type="water" value="${unit.meterDigits?.water ?? ''}" placeholder="למשל: 5" min="1" max="9" step="1">
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    function readSetupUnits() {
+        const readings = { electricity: {}, water: {} };
+        const setupUnits = Array.from(elements.setupUnitsList.querySelectorAll('.unit-row')).map((row, index) => {
+            const id = row.dataset.id;
+            const remainder = row.querySelector('input[name="remainderUnit"]').checked;
+
+            row.querySelectorAll('.unit-readings input').forEach(input => {
+                const value = parseFloat(input.value);
+                if (!isNaN(value)) {
+                    readings[input.dataset.type][id] = value;
+                }
+            });
+
+            const residents = parseInt(row.querySelector('.unit-residents-input').value, 10);
+            const area = parseFloat(row.querySelector('.unit-area-input').value);
+
+            // Digit count of each sub meter, used to read a counter that wrapped past zero
+            const meterDigits = {};
+            row.querySelectorAll('.unit-digits input').forEach(input => {
+                const digits = parseInt(input.value, 10);
+                meterDigits[input.dataset.type] = digits > 0 ? digits : null;
+            });
+
+            return {
+                id,
+                name: row.querySelector('.unit-name-input').value.trim() || `יחידה ${index + 1}`,
+                remainder,
+                residents: isNaN(residents) ? null : residents,
+                area: area > 0 ? area : null,
+                meterDigits,
+                trackPayments: row.querySelector('.unit-track-payments-input').checked
+            };
+        });
+
+        return { units: setupUnits, readings };
+    }
+
+    function renderSetupCommonMeters(meters, setupUnits, readings) {
+        elements.setupCommonMetersList.innerHTML = meters.map(meter => `
+            <div class="unit-row common-meter-row" data-id="${meter.id}">
+                <div class="unit-row-header">
+                    <input type="text" class="unit-name-input common-meter-name" value="${escapeHtml(meter.name)}" placeholder="שם המונה">
+                    <button class="unit-remove-btn common-meter-remove-btn" data-id="${meter.id}" title="הסר מונה">✕</button>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>סוג חשבון</label>
+                        <select class="common-meter-type">
+                            ${Object.keys(RATES).map(billType => `
+                                <option value="${billType}" ${meter.billType === billType ? 'selected' : ''}>${RATES[billType].icon} ${RATES[billType].name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>חלוקה בין היחידות</label>
+                        <select class="common-meter-policy">
+                            ${Object.entries(Calculator.COMMON_POLICIES).map(([policy, label]) => `
+                                <option value="${policy}" ${meter.policy === policy ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                ${meter.policy === 'percent' ? `
+                    <div class="form-row common-meter-percents">
+                        ${setupUnits.map(unit => `
+                            <div class="form-group">
+                                <label>${escapeHtml(unit.name)} (%)</label>
+                                <input type="number" class="common-meter-percent" data-unit="${unit.id}" value="${meter.percents?.[unit.id] ?? ''}" min="0" max="100" step="0.1">
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>קריאה אחרונה</label>
+                        <input type="number" class="common-meter-reading" value="${readings[meter.billType]?.[meter.id] ?? ''}" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label>🔢 ספרות במונה</label>
+                        <input type="number" class="common-meter-digits" value="${meter.meterDigits ?? ''}" placeholder="למשל: 5" min="1" max="9" step="1">
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Common-area meters from the setup screen; their last readings are added to `readings`
+    function readSetupCommonMeters(readings) {
+        return Array.from(elements.setupCommonMetersList.querySelectorAll('.common-meter-row')).map((row, index) => {
+            const id = row.dataset.id;
+            const billType = row.querySelector('.common-meter-type').value;
+            const policy = row.querySelector('.common-meter-policy').value;
+
+            const reading = parseFloat(row.querySelector('.common-meter-reading').value);
+            if (!isNaN(reading)) {
+                readings[billType] = readings[billType] || {};
+                readings[billType][id] = reading;
+            }
+
+            const percents = {};
+            row.querySelectorAll('.common-meter-percent').forEach(input => {
+                percents[input.dataset.unit] = parseFloat(input.value) || 0;
+            });
+            const digits = parseInt(row.querySelector('.common-meter-digits').value, 10);
+
+            return {
+                id,
+                name: row.querySelector('.common-meter-name').value.trim() || `מונה משותף ${index + 1}`,
+                billType,
+                policy,
+                percents: policy === 'percent' ? percents : undefined,
+                meterDigits: digits > 0 ? digits : null
+            };
+        });
+    }
+
+    function refreshSetupCommonMeters() {
+        const readings = {};
+        const meters = readSetupCommonMeters(readings);
+        renderSetupCommonMeters(meters, readSetupUnits().units, readings);
+    }
+
+    // === Tariff Periods ===
+    function initRates() {
+        renderRateFields();
+        renderRateHistory();
+
+        elements.rateBillType.addEventListener('change', renderRateFields);
+
+        elements.addRateBtn.addEventListener('click', () => {
+            const billType = elements.rateBillType.value;
+            const effectiveFrom = elements.rateEffectiveFrom.value;
+            if (!effectiveFrom) {
+                showToast('יש לבחור תאריך תחילת תוקף', 'error');
+                return;
+            }
+
+            const entry = { effectiveFrom };
+            for (const input of elements.rateFields.querySelectorAll('input')) {
+                const value = parseFloat(input.value);
+                if (isNaN(value) || value <= 0) {
+                    showToast('יש להזין את כל שדות התעריף', 'error');
+                    return;
+                }
+                entry[input.dataset.field] = value;
+            }
+
+            if (Storage.addCustomRate(billType, entry)) {
+                renderRateFields();
+                renderRateHistory();
+                elements.rateEffectiveFrom.value = '';
+                showToast('✅ תקופת התעריף נוספה');
+            } else {
+                showToast('❌ שגיאה בשמירה', 'error');
+            }
+        });
+
+        elements.setupRatesList.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.rate-delete-btn');
+            if (!deleteBtn) return;
+
+            Storage.deleteCustomRate(deleteBtn.dataset.type, deleteBtn.dataset.date);
+            renderRateHistory();
+        });
+    }
+
+    // Prefill the new tariff with the latest known values of the selected type
+    function renderRateFields() {
+        const billType = elements.rateBillType.value;
+        const latest = getRatesAt(billType, new Date().toISOString());
+
+        elements.rateFields.innerHTML = RATE_FIELDS[billType].map(field => `
+            <div class="form-group">
+                <label>${RATE_FIELD_LABELS[field]}</label>
+                <input type="number" data-field="${field}" value="${latest[field]}" step="0.0001" min="0">
+            </div>
+        `).join('');
+    }
+
+    function renderRateHistory() {
+        elements.setupRatesList.innerHTML = Object.keys(RATES).map(billType =>
+            getRateHistory(billType).map(entry => `
+                <div class="rate-period">
+                    <span>${RATES[billType].icon} ${formatRateDate(entry.effectiveFrom)}</span>
+                    <span class="rate-period-values">
+                        ${RATE_FIELDS[billType].map(field => `${RATE_FIELD_LABELS[field]}: ${entry[field]}`).join(' · ')}
+                    </span>
+                    ${entry.custom
+                        ? `<button class="unit-remove-btn rate-delete-btn" data-type="${billType}" data-date="${entry.effectiveFrom}" title="מחק תקופה">✕</button>`
+                        : '<span class="rate-period-builtin">מובנה</span>'}
+                </div>
+            `).join('')
+        ).join('');
     }
 
     function showSetupScreen() {
@@ -156,92 +627,593 @@
         if (!readings) return;
 
         const typeReadings = readings[currentBillType];
+        if (typeReadings?.[MAIN_METER_ID] !== undefined) {
+            elements.mainMeterPrev.value = typeReadings[MAIN_METER_ID];
+            updateMainMeterStatus();
+        }
         if (typeReadings) {
-            if (typeReadings.sub) {
-                elements.subMeterPrev.value = typeReadings.sub;
-                elements.subMeterPrev.dispatchEvent(new Event('input'));
-            }
+            units.filter(unit => !unit.remainder).forEach(unit => {
+                if (typeReadings[unit.id] !== undefined) {
+                    const { prev } = getSubMeterInputs(unit.id);
+                    prev.value = typeReadings[unit.id];
+                    prev.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            });
+            Settings.getCommonMeters(currentBillType).forEach(meter => {
+                if (typeReadings[meter.id] !== undefined) {
+                    const prev = getCommonMeterRow(meter.id).querySelector('.common-meter-prev');
+                    prev.value = typeReadings[meter.id];
+                    prev.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            });
         }
     }
 
     // After successful calculation, auto-save current readings for next time
     function updateLastReadingsAfterCalc(result) {
         const readings = getLastReadings() || { electricity: {}, water: {} };
-        readings[result.billType] = {
-            sub: result.meters.sub.curr
-        };
+        readings[result.billType] = { ...readings[result.billType] };
+        result.units.forEach(unit => {
+            if (unit.meter) {
+                readings[result.billType][unit.id] = unit.meter.curr;
+            }
+        });
+        if (result.mainMeter?.measured != null) {
+            readings[result.billType][MAIN_METER_ID] = result.mainMeter.curr;
+        }
+        (result.commonAreas || []).forEach(common => {
+            readings[result.billType][common.id] = common.meter.curr;
+        });
         saveLastReadings(readings);
     }
 
-    // === Tab Navigation ===
-    function initTabs() {
-        elements.tabBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const tab = btn.dataset.tab;
+    // === Sub Meters ===
+    function renderSubMeters() {
+        const subUnits = units.filter(unit => !unit.remainder);
+
+        elements.subMetersList.innerHTML = subUnits.map(unit => `
+            <div class="sub-meter" data-id="${unit.id}">
+                <h3 class="sub-meter-title">🏠 ${escapeHtml(unit.name)}</h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="subMeterPrev-${unit.id}">קריאה קודמת</label>
+                        <input type="number" id="subMeterPrev-${unit.id}" class="sub-meter-prev" placeholder="קריאה קודמת" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label for="subMeterCurr-${unit.id}">קריאה נוכחית</label>
+                        <input type="number" id="subMeterCurr-${unit.id}" class="sub-meter-curr" placeholder="קריאה נוכחית" min="0">
+                    </div>
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" class="sub-meter-replaced">
+                    🔄 המונה הוחלף בתקופה זו
+                </label>
+                <div class="sub-meter-replacement" style="display:none;">
+                    <p class="line-items-hint">הקריאה הקודמת היא של המונה הישן והקריאה הנוכחית של המונה החדש</p>
+                    <div class="form-group">
+                        <label>תאריך ההחלפה</label>
+                        <input type="date" class="sub-meter-replaced-date">
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>קריאה אחרונה - מונה ישן</label>
+                            <input type="number" class="sub-meter-old-final" min="0">
+                        </div>
+                        <div class="form-group">
+                            <label>קריאת התחלה - מונה חדש</label>
+                            <input type="number" class="sub-meter-new-start" min="0">
+                        </div>
+                    </div>
+                </div>
+                <div class="form-row sub-meter-tou">
+                    ${Object.entries(TOU_BANDS).map(([band, label]) => `
+                        <div class="form-group">
+                            <label>${label} (אופציונלי)</label>
+                            <input type="number" class="sub-meter-tou-input" data-band="${band}" placeholder="קוט&quot;ש" step="0.01" min="0">
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="consumption-display" style="display:none;">
+                    <span class="consumption-label">צריכה ${escapeHtml(unit.name)}:</span>
+                    <span class="consumption-value">-</span>
+                </div>
+            </div>
+        `).join('');
 
-                elements.tabBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+        elements.meterTarget.innerHTML = subUnits.map(unit =>
+            `<option value="${unit.id}">${escapeHtml(unit.name)}</option>`
+        ).join('');
+    }
 
-                elements.calculatorTab.classList.toggle('active', tab === 'calculator');
-                elements.historyTab.classList.toggle('active', tab === 'history');
+    function getSubMeterInputs(unitId) {
+        const row = elements.subMetersList.querySelector(`.sub-meter[data-id="${unitId}"]`);
+        return {
+            prev: row.querySelector('.sub-meter-prev'),
+            curr: row.querySelector('.sub-meter-curr'),
+            display: row.querySelector('.consumption-display'),
+            value: row.querySelector('.consumption-value'),
+            touBands: row.querySelectorAll('.sub-meter-tou-input'),
+            replaced: row.querySelector('.sub-meter-replaced'),
+            replacementGroup: row.querySelector('.sub-meter-replacement'),
+            replacedDate: row.querySelector('.sub-meter-replaced-date'),
+            oldFinal: row.querySelector('.sub-meter-old-final'),
+            newStart: row.querySelector('.sub-meter-new-start')
+        };
+    }
+
+    // Sub meter readings of a unit in the shape Calculator expects
+    function readSubMeter(unit) {
+        const inputs = getSubMeterInputs(unit.id);
+        return {
+            prev: parseFloat(inputs.prev.value),
+            curr: parseFloat(inputs.curr.value),
+            meterDigits: unit.meterDigits?.[currentBillType] || null,
+            replacement: inputs.replaced.checked
+                ? {
+                    date: inputs.replacedDate.value,
+                    oldFinal: parseFloat(inputs.oldFinal.value),
+                    newStart: parseFloat(inputs.newStart.value)
+                }
+                : null
+        };
+    }
+
+    // === Common-area Meters ===
+    function renderCommonMeters() {
+        elements.commonMetersList.innerHTML = Settings.getCommonMeters(currentBillType).map(meter => `
+            <div class="sub-meter common-meter" data-id="${meter.id}">
+                <h3 class="sub-meter-title">🏢 ${escapeHtml(meter.name)} <span class="common-meter-policy-label">(${Calculator.COMMON_POLICIES[meter.policy]})</span></h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="commonMeterPrev-${meter.id}">קריאה קודמת</label>
+                        <input type="number" id="commonMeterPrev-${meter.id}" class="common-meter-prev" placeholder="קריאה קודמת" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label for="commonMeterCurr-${meter.id}">קריאה נוכחית</label>
+                        <input type="number" id="commonMeterCurr-${meter.id}" class="common-meter-curr" placeholder="קריאה נוכחית" min="0">
+                    </div>
+                </div>
+                <div class="consumption-display" style="display:none;">
+                    <span class="consumption-label">צריכה ${escapeHtml(meter.name)}:</span>
+                    <span class="consumption-value">-</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    function getCommonMeterRow(meterId) {
+        return elements.commonMetersList.querySelector(`.common-meter[data-id="${meterId}"]`);
+    }
+
+    // Common-area meters of the current bill type in the shape Calculator expects
+    function readCommonMeters() {
+        return Settings.getCommonMeters(currentBillType).map(meter => {
+            const row = getCommonMeterRow(meter.id);
+            return {
+                ...meter,
+                prev: parseFloat(row.querySelector('.common-meter-prev').value),
+                curr: parseFloat(row.querySelector('.common-meter-curr').value)
+            };
+        });
+    }
+
+    // === Billing Period ===
+    function initPeriod() {
+        // The water tier allowance follows the length of the billing period
+        [elements.periodStart, elements.periodEnd].forEach(input => {
+            input.addEventListener('change', updateBillMonthsFromPeriod);
+        });
+    }
+
+    function updateBillMonthsFromPeriod() {
+        const start = elements.periodStart.value;
+        const end = elements.periodEnd.value;
+        if (!start || !end || end < start) return;
+
+        const days = Calculator.getPeriodDays({ start, end });
+        elements.billMonths.value = Math.round(days / Calculator.DAYS_PER_MONTH * 10) / 10;
+    }
 
-                if (tab === 'history') {
-                    renderHistory();
+    // === Time-of-use ===
+    function initTou() {
+        elements.touEnabled.addEventListener('change', () => {
+            const enabled = elements.touEnabled.checked;
+            elements.touBandsGroup.style.display = enabled ? 'grid' : 'none';
+            elements.subMetersList.classList.toggle('tou', enabled);
+        });
+
+        // The bands add up to the bill's total consumption
+        elements.touBandInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                const bands = readBands(elements.touBandInputs);
+                if (bands) {
+                    elements.totalConsumption.value = Math.round(Object.values(bands).reduce((a, b) => a + b, 0) * 100) / 100;
                 }
             });
         });
     }
 
+    // Read kWh per band from band inputs; null unless every band is filled
+    function readBands(inputs) {
+        const bands = {};
+        for (const input of inputs) {
+            const value = parseFloat(input.value);
+            if (isNaN(value)) return null;
+            bands[input.dataset.band] = value;
+        }
+        return bands;
+    }
+
+    // === Tab Navigation ===
+    function initTabs() {
+        elements.tabBtns.forEach(btn => {
+            btn.addEventListener('click', () => showTab(btn.dataset.tab));
+        });
+    }
+
+    function showTab(tab) {
+        elements.tabBtns.forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+
+        elements.calculatorTab.classList.toggle('active', tab === 'calculator');
+        elements.historyTab.classList.toggle('active', tab === 'history');
+        elements.statsTab.classList.toggle('active', tab === 'stats');
+        elements.paymentsTab.classList.toggle('active', tab === 'payments');
+
+        if (tab === 'history') {
+            renderHistory();
+        }
+        if (tab === 'stats') {
+            renderStats();
+        }
+        if (tab === 'payments') {
+            renderBalances();
+            renderSettlement();
+            renderAnnualOptions();
+        }
+    }
+
     // === Bill Type Selection ===
     function initBillType() {
         elements.billTypeBtns.forEach(btn => {
             btn.addEventListener('click', () => {
-                elements.billTypeBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                currentBillType = btn.dataset.type;
-
-                // Update consumption label
-                const unit = RATES[currentBillType].unit;
-                elements.totalConsumptionLabel.textContent = `צריכה כוללת מהחשבונית (${unit})`;
-                elements.subConsumptionValue.textContent = '-';
-
-                // Hide results when changing type
-                elements.resultsSection.style.display = 'none';
-                lastResult = null;
-
-                // Clear fields and apply saved readings for new type
-                elements.totalBill.value = '';
-                elements.totalConsumption.value = '';
-                elements.subMeterPrev.value = '';
-                elements.subMeterCurr.value = '';
-                elements.subConsumption.style.display = 'none';
-
-                const savedReadings = getLastReadings();
-                if (savedReadings) {
-                    applyLastReadings(savedReadings);
-                }
+                stopEditing();
+                selectBillType(btn.dataset.type);
             });
         });
     }
 
+    // Switch the calculator to a bill type and clear the form
+    function selectBillType(billType) {
+        elements.billTypeBtns.forEach(b => b.classList.toggle('active', b.dataset.type === billType));
+        currentBillType = billType;
+
+        // Update consumption label
+        const unit = RATES[currentBillType].unit;
+        elements.totalConsumptionLabel.textContent = `צריכה כוללת מהחשבונית (${unit})`;
+        elements.billMonthsGroup.style.display = currentBillType === 'water' ? 'block' : 'none';
+        elements.touSection.style.display = currentBillType === 'electricity' ? 'block' : 'none';
+        elements.touEnabled.checked = false;
+        elements.touEnabled.dispatchEvent(new Event('change'));
+        elements.touBandInputs.forEach(input => { input.value = ''; });
+        elements.meterOcrMode.value = OCR.DEFAULT_MODES[currentBillType];
+        clearPhotos();
+
+        // Hide results when changing type
+        elements.resultsSection.style.display = 'none';
+        lastResult = null;
+
+        // Clear fields and apply saved readings for new type
+        elements.totalBill.value = '';
+        elements.totalConsumption.value = '';
+        elements.periodStart.value = '';
+        elements.periodEnd.value = '';
+        elements.mainMeterPrev.value = '';
+        elements.mainMeterCurr.value = '';
+        elements.mainMeterEstimated.checked = false;
+        elements.mainMeterUseReconciled.checked = false;
+        updateMainMeterStatus();
+        lineItems = [];
+        renderLineItems();
+        occupancyChanges = [];
+        renderOccupancyChanges();
+        renderSubMeters();
+        renderCommonMeters();
+
+        const savedReadings = getLastReadings();
+        if (savedReadings) {
+            applyLastReadings(savedReadings);
+        }
+    }
+
+    // === Main Meter ===
+    function initMainMeter() {
+        [...document.querySelectorAll('.main-meter-input'), elements.totalConsumption, elements.periodStart]
+            .forEach(input => input.addEventListener('input', updateMainMeterStatus));
+        elements.mainMeterSection.addEventListener('change', updateMainMeterStatus);
+    }
+
+    // Our main meter readings as calculate() takes them, with the difference carried from the previous bill
+    function readMainMeter() {
+        const reading = (input) => input.value === '' ? null : parseFloat(input.value);
+        const mainMeter = {
+            prev: reading(elements.mainMeterPrev),
+            curr: reading(elements.mainMeterCurr),
+            estimated: elements.mainMeterEstimated.checked,
+            useReconciled: elements.mainMeterUseReconciled.checked,
+            carryIn: getMainMeterCarry()
+        };
+
+        const empty = mainMeter.prev === null && mainMeter.curr === null && !mainMeter.estimated && !mainMeter.carryIn;
+        return empty ? null : mainMeter;
+    }
+
+    // A correction keeps the carry its bill was calculated with
+    function getMainMeterCarry() {
+        if (editingEntry) {
+            return editingEntry.mainMeter?.carryIn || 0;
+        }
+        if (!elements.periodStart.value) return 0;
+
+        return Calculator.getMainMeterCarry(Storage.getAll(), currentBillType, { start: elements.periodStart.value });
+    }
+
+    function updateMainMeterStatus() {
+        const mainMeter = readMainMeter();
+        const reconciliation = mainMeter
+            ? Calculator.reconcileMainMeter(mainMeter, parseFloat(elements.totalConsumption.value), RATES[currentBillType].unit)
+            : null;
+        const message = reconciliation?.error || reconciliation?.message;
+
+        elements.mainMeterStatus.style.display = message ? 'block' : 'none';
+        elements.mainMeterStatus.textContent = message || '';
+        elements.mainMeterStatus.classList.toggle('warning',
+            !!(reconciliation?.error || reconciliation?.estimated || reconciliation?.suspectedEstimate));
+        if (reconciliation?.carryIn) {
+            elements.mainMeterSection.open = true;
+        }
+    }
+
+    // === Bill Components ===
+    function initLineItems() {
+        elements.addLineItem.addEventListener('click', () => {
+            lineItems.push({ label: '', amount: null, policy: 'equal' });
+            renderLineItems();
+        });
+
+        elements.lineItemsList.addEventListener('input', () => {
+            lineItems = readLineItems();
+            updateLineItemsRemaining();
+        });
+
+        // Policy controls differ per policy, so re-render when it changes
+        elements.lineItemsList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('line-item-policy')) {
+                lineItems = readLineItems();
+                renderLineItems();
+            }
+        });
+
+        elements.lineItemsList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.line-item-remove');
+            if (!removeBtn) return;
+
+            lineItems = readLineItems();
+            lineItems.splice(parseInt(removeBtn.dataset.index, 10), 1);
+            renderLineItems();
+        });
+
+        elements.totalBill.addEventListener('input', updateLineItemsRemaining);
+    }
+
+    function renderLineItems() {
+        const policyOptions = (selected) => Object.entries(Calculator.SPLIT_POLICIES)
+            .map(([policy, label]) => `<option value="${policy}" ${policy === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        elements.lineItemsList.innerHTML = lineItems.map((item, index) => `
+            <div class="line-item">
+                <div class="line-item-header">
+                    <div class="form-group">
+                        <input type="text" class="line-item-label" value="${escapeHtml(item.label || '')}" placeholder="שם הרכיב">
+                    </div>
+                    <div class="form-group">
+                        <input type="number" class="line-item-amount" value="${item.amount ?? ''}" placeholder="₪" step="0.01" min="0">
+                    </div>
+                    <button class="unit-remove-btn line-item-remove" data-index="${index}" title="הסר רכיב">✕</button>
+                </div>
+                <div class="form-group">
+                    <select class="line-item-policy">${policyOptions(item.policy)}</select>
+                </div>
+                ${item.policy === 'unit' ? `
+                    <div class="form-group">
+                        <select class="line-item-unit">
+                            ${units.map(unit => `<option value="${unit.id}" ${unit.id === item.unitId ? 'selected' : ''}>${escapeHtml(unit.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                ${item.policy === 'percent' ? `
+                    <div class="line-item-percents">
+                        ${units.map(unit => `
+                            <div class="form-group">
+                                <label>${escapeHtml(unit.name)} (%)</label>
+                                <input type="number" class="line-item-percent" data-unit="${unit.id}" value="${item.percents?.[unit.id] ?? ''}" min="0" max="100" step="0.1">
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+
+        updateLineItemsRemaining();
+    }
+
+    function readLineItems() {
+        return Array.from(elements.lineItemsList.querySelectorAll('.line-item')).map(row => {
+            const amount = parseFloat(row.querySelector('.line-item-amount').value);
+            const item = {
+                label: row.querySelector('.line-item-label').value.trim(),
+                amount: isNaN(amount) ? null : amount,
+                policy: row.querySelector('.line-item-policy').value
+            };
+
+            const unitSelect = row.querySelector('.line-item-unit');
+            if (unitSelect) {
+                item.unitId = unitSelect.value;
+            }
+
+            const percentInputs = row.querySelectorAll('.line-item-percent');
+            if (percentInputs.length > 0) {
+                item.percents = {};
+                percentInputs.forEach(input => {
+                    item.percents[input.dataset.unit] = parseFloat(input.value) || 0;
+                });
+            }
+
+            return item;
+        });
+    }
+
+    function updateLineItemsRemaining() {
+        const totalBill = parseFloat(elements.totalBill.value);
+        if (lineItems.length === 0 || isNaN(totalBill)) {
+            elements.lineItemsRemaining.style.display = 'none';
+            return;
+        }
+
+        const itemsTotal = lineItems.reduce((sum, item) => sum + (item.amount || 0), 0);
+        elements.lineItemsRemainingValue.textContent = Calculator.formatCurrency(totalBill - itemsTotal);
+        elements.lineItemsRemaining.style.display = 'flex';
+    }
+
+    // === Tenant Changes ===
+    function initOccupancyChanges() {
+        elements.addOccupancyChange.addEventListener('click', () => {
+            occupancyChanges = readOccupancyChanges();
+            const used = occupancyChanges.map(change => change.unitId);
+            const unit = units.find(u => !used.includes(u.id)) || units[0];
+            occupancyChanges.push({ unitId: unit.id, date: '', reading: null, before: '', after: '' });
+            renderOccupancyChanges();
+        });
+
+        elements.occupancyList.addEventListener('input', () => {
+            occupancyChanges = readOccupancyChanges();
+        });
+
+        // The remainder unit has no sub meter, so it has no reading to enter
+        elements.occupancyList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('occupancy-unit')) {
+                occupancyChanges = readOccupancyChanges();
+                renderOccupancyChanges();
+            }
+        });
+
+        elements.occupancyList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.occupancy-remove');
+            if (!removeBtn) return;
+
+            occupancyChanges = readOccupancyChanges();
+            occupancyChanges.splice(parseInt(removeBtn.dataset.index, 10), 1);
+            renderOccupancyChanges();
+        });
+    }
+
+    function renderOccupancyChanges() {
+        // Changes for units that no longer exist are dropped
+        occupancyChanges = occupancyChanges.filter(change => units.some(unit => unit.id === change.unitId));
+
+        elements.occupancyList.innerHTML = occupancyChanges.map((change, index) => {
+            const unit = units.find(u => u.id === change.unitId);
+            return `
+                <div class="line-item occupancy-change">
+                    <div class="line-item-header occupancy-header">
+                        <div class="form-group">
+                            <select class="occupancy-unit">
+                                ${units.map(u => `<option value="${u.id}" ${u.id === change.unitId ? 'selected' : ''}>${escapeHtml(u.name)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <button class="unit-remove-btn occupancy-remove" data-index="${index}" title="הסר החלפה">✕</button>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>תאריך כניסת הדייר החדש</label>
+                            <input type="date" class="occupancy-date" value="${change.date || ''}">
+                        </div>
+                        <div class="form-group" ${unit.remainder ? 'style="display:none;"' : ''}>
+                            <label>קריאת מונה ביום ההחלפה</label>
+                            <input type="number" class="occupancy-reading" value="${change.reading ?? ''}" min="0">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>דייר יוצא</label>
+                            <input type="text" class="occupancy-before" value="${escapeHtml(change.before || '')}" placeholder="שם">
+                        </div>
+                        <div class="form-group">
+                            <label>דייר נכנס</label>
+                            <input type="text" class="occupancy-after" value="${escapeHtml(change.after || '')}" placeholder="שם">
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function readOccupancyChanges() {
+        return Array.from(elements.occupancyList.querySelectorAll('.occupancy-change')).map(row => {
+            const reading = parseFloat(row.querySelector('.occupancy-reading').value);
+            return {
+                unitId: row.querySelector('.occupancy-unit').value,
+                date: row.querySelector('.occupancy-date').value,
+                reading: isNaN(reading) ? null : reading,
+                before: row.querySelector('.occupancy-before').value.trim(),
+                after: row.querySelector('.occupancy-after').value.trim()
+            };
+        });
+    }
+
     // === Live Consumption Display ===
     function initLiveConsumption() {
-        const subInputs = [elements.subMeterPrev, elements.subMeterCurr];
+        const update = (e) => {
+            const row = e.target.closest('.sub-meter');
+            if (!row) return;
 
-        subInputs.forEach(input => {
-            input.addEventListener('input', () => {
-                const prev = parseFloat(elements.subMeterPrev.value);
-                const curr = parseFloat(elements.subMeterCurr.value);
-
-                if (!isNaN(prev) && !isNaN(curr) && curr >= prev) {
-                    const consumption = curr - prev;
-                    const unit = RATES[currentBillType].unit;
-                    elements.subConsumptionValue.textContent = `${consumption} ${unit}`;
-                    elements.subConsumption.style.display = 'flex';
-                } else {
-                    elements.subConsumption.style.display = 'none';
-                }
-            });
+            const inputs = getSubMeterInputs(row.dataset.id);
+            inputs.replacementGroup.style.display = inputs.replaced.checked ? 'block' : 'none';
+
+            const readings = readSubMeter(units.find(unit => unit.id === row.dataset.id));
+            const replacement = readings.replacement;
+            const complete = !isNaN(readings.prev) && !isNaN(readings.curr) &&
+                (!replacement || (!isNaN(replacement.oldFinal) && !isNaN(replacement.newStart)));
+            const meter = complete ? Calculator.getMeter(readings) : null;
+            const consumption = meter ? Calculator.getMeterConsumption(meter) : null;
+
+            if (consumption !== null) {
+                const unit = RATES[currentBillType].unit;
+                inputs.value.textContent = `${consumption} ${unit}${meter.rollover ? ' (המונה עבר דרך אפס)' : ''}`;
+                inputs.display.style.display = 'flex';
+            } else {
+                inputs.display.style.display = 'none';
+            }
+        };
+
+        elements.subMetersList.addEventListener('input', update);
+        elements.subMetersList.addEventListener('change', update);
+
+        elements.commonMetersList.addEventListener('input', (e) => {
+            const row = e.target.closest('.common-meter');
+            if (!row) return;
+
+            const meter = readCommonMeters().find(common => common.id === row.dataset.id);
+            const consumption = !isNaN(meter.prev) && !isNaN(meter.curr)
+                ? Calculator.getMeterConsumption(Calculator.getMeter(meter))
+                : null;
+            const display = row.querySelector('.consumption-display');
+            if (consumption !== null) {
+                row.querySelector('.consumption-value').textContent = `${consumption} ${RATES[currentBillType].unit}`;
+                display.style.display = 'flex';
+            } else {
+                display.style.display = 'none';
+            }
         });
     }
 
@@ -252,10 +1224,15 @@
             if (!file) return;
 
             // Show preview
-            const previewUrl = OCR.createPreviewUrl(file);
-            elements.receiptPreviewImg.src = previewUrl;
+            setPreviewSrc(elements.receiptPreviewImg, OCR.createPreviewUrl(file));
             elements.receiptPreview.style.display = 'block';
 
+            try {
+                photos.receipt = await Photos.compress(file);
+            } catch (error) {
+                console.error('Error compressing receipt photo:', error);
+            }
+
             // Show loading
             elements.receiptOcrStatus.style.display = 'block';
             elements.receiptOcrStatus.className = 'ocr-status loading';
@@ -280,8 +1257,53 @@
                         statusParts.push(`צריכה: ${result.consumption} ${unit}`);
                     }
 
+                    if (result.period) {
+                        elements.periodStart.value = result.period.start;
+                        elements.periodEnd.value = result.period.end;
+                        updateBillMonthsFromPeriod();
+                        statusParts.push(`תקופה: ${Calculator.formatPeriod(result.period)}`);
+                    }
+
+                    if (result.lineItems.length > 0) {
+                        lineItems = result.lineItems;
+                        renderLineItems();
+                        statusParts.push(`רכיבים: ${result.lineItems.map(item => item.label).join(', ')}`);
+                    }
+
+                    const fields = result.bill ? result.bill.fields : {};
+                    if (fields.previousReading && fields.currentReading) {
+                        statusParts.push(`מונה ראשי: ${fields.previousReading.value} → ${fields.currentReading.value}`);
+                    }
+
+                    // An estimate's readings aren't real, so only an actual read continues our main meter series
+                    if (result.estimated) {
+                        elements.mainMeterEstimated.checked = true;
+                        elements.mainMeterSection.open = true;
+                        statusParts.push('החשבון לפי הערכה');
+                    } else {
+                        if (fields.previousReading && elements.mainMeterPrev.value === '') {
+                            elements.mainMeterPrev.value = fields.previousReading.value;
+                        }
+                        if (fields.currentReading && elements.mainMeterCurr.value === '') {
+                            elements.mainMeterCurr.value = fields.currentReading.value;
+                        }
+                    }
+                    updateMainMeterStatus();
+                    if (fields.dueDate) {
+                        statusParts.push(`לתשלום עד: ${Calculator.formatDate(fields.dueDate.value)}`);
+                    }
+
                     elements.receiptOcrStatus.className = 'ocr-status success';
-                    let statusText = `✅ זוהה: ${statusParts.join(' | ')}`;
+                    let statusText = result.bill ? `🧾 ${result.bill.name}\n` : '';
+                    statusText += `✅ זוהה: ${statusParts.join(' | ')}`;
+
+                    // Fields the bill's own figures don't back up are worth a second look
+                    const doubtful = Object.entries(fields)
+                        .filter(([, field]) => OCR.isLowConfidence(field))
+                        .map(([name]) => BillParsers.FIELD_LABELS[name]);
+                    if (doubtful.length > 0) {
+                        statusText += `\n⚠️ כדאי לבדוק: ${doubtful.join(', ')}`;
+                    }
 
                     if (result.totalBill === null) {
                         statusText += '\n⚠️ לא זוהה סכום לתשלום - הזן ידנית';
@@ -302,72 +1324,380 @@
             }
         });
 
-        elements.removeReceipt.addEventListener('click', () => {
-            elements.receiptPreview.style.display = 'none';
-            elements.receiptOcrStatus.style.display = 'none';
-            elements.receiptImage.value = '';
-            elements.receiptPreviewImg.src = '';
-        });
+        elements.removeReceipt.addEventListener('click', clearReceiptPhoto);
+    }
+
+    function clearReceiptPhoto() {
+        elements.receiptPreview.style.display = 'none';
+        elements.receiptOcrStatus.style.display = 'none';
+        elements.receiptImage.value = '';
+        setPreviewSrc(elements.receiptPreviewImg, '');
+        photos.receipt = null;
     }
 
     // === Meter OCR Image Upload ===
     function initOCR() {
+        elements.meterOcrMode.innerHTML = Object.entries(OCR.MODES).map(([mode, label]) => `
+            <option value="${mode}">${label}</option>
+        `).join('');
+        elements.meterOcrMode.value = OCR.DEFAULT_MODES[currentBillType];
+
         elements.meterImage.addEventListener('change', async (e) => {
             const file = e.target.files[0];
             if (!file) return;
 
-            const previewUrl = OCR.createPreviewUrl(file);
-            elements.previewImg.src = previewUrl;
-            elements.imagePreview.style.display = 'block';
+            stopCamera();
+            await setMeterPhoto(file, null);
+            readMeterPhoto();
+        });
+
+        elements.rereadMeter.addEventListener('click', () => {
+            if (meterFile) readMeterPhoto();
+        });
+
+        // Tapping a candidate reading fills it in
+        elements.ocrStatus.addEventListener('click', (e) => {
+            const candidateBtn = e.target.closest('.ocr-candidate');
+            if (!candidateBtn) return;
+
+            const { curr } = getSubMeterInputs(candidateBtn.dataset.unit);
+            curr.value = candidateBtn.dataset.value;
+            curr.dispatchEvent(new Event('input', { bubbles: true }));
+            elements.ocrStatus.className = 'ocr-status success';
+            elements.ocrStatus.textContent = `✅ נבחר: ${candidateBtn.dataset.value}\nניתן לתקן ידנית אם הערך לא מדויק`;
+        });
+
+        initCrop();
+        initCamera();
+
+        elements.removeImage.addEventListener('click', () => {
+            clearMeterPreview();
+            delete photos.meters[meterPhotoUnit];
+        });
+    }
+
+    function clearMeterPreview() {
+        elements.imagePreview.style.display = 'none';
+        elements.cropActions.style.display = 'none';
+        elements.ocrStatus.style.display = 'none';
+        elements.meterImage.value = '';
+        setPreviewSrc(elements.previewImg, '');
+        meterFile = null;
+        setMeterCrop(null);
+    }
+
+    // Point a preview at another image, releasing the object URL of the photo it showed
+    function setPreviewSrc(img, src) {
+        if (img.src.startsWith('blob:')) {
+            URL.revokeObjectURL(img.src);
+        }
+        img.src = src;
+    }
+
+    // Photos belong to one calculation: start the next one without them
+    function clearPhotos() {
+        clearReceiptPhoto();
+        clearMeterPreview();
+        photos = { receipt: null, meters: {} };
+    }
+
+    // Show a meter photo in the preview and keep a compressed copy with the calculation
+    async function setMeterPhoto(file, crop) {
+        setPreviewSrc(elements.previewImg, OCR.createPreviewUrl(file));
+        elements.imagePreview.style.display = 'block';
+        elements.cropActions.style.display = 'block';
+        meterFile = file;
+        setMeterCrop(null);
+        if (crop) {
+            // The crop box is placed over the photo once it is laid out
+            elements.previewImg.addEventListener('load', () => setMeterCrop(crop), { once: true });
+        }
+
+        try {
+            meterPhotoUnit = elements.meterTarget.value;
+            photos.meters[meterPhotoUnit] = await Photos.compress(file);
+        } catch (error) {
+            console.error('Error compressing meter photo:', error);
+        }
+    }
+
+    async function readMeterPhoto() {
+        elements.ocrStatus.style.display = 'block';
+        elements.ocrStatus.className = 'ocr-status loading';
+        elements.ocrStatus.innerHTML = '<span class="spinner"></span> מזהה מספרים מהתמונה...';
+
+        try {
+            const result = await OCR.processImage(meterFile, (progress) => {
+                elements.ocrStatus.innerHTML = `<span class="spinner"></span> מזהה... ${progress}%`;
+            }, { mode: elements.meterOcrMode.value, crop: meterCrop });
+
+            showMeterReading(result);
+        } catch (error) {
+            elements.ocrStatus.className = 'ocr-status error';
+            elements.ocrStatus.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    // Fill in a recognized meter reading, or offer the candidates when it isn't certain
+    function showMeterReading(result) {
+        elements.ocrStatus.style.display = 'block';
+        const unitId = elements.meterTarget.value;
+        const ranked = OCR.rankCandidates(result.found ? result.candidates : [], getReadingContext(unitId));
+        const best = ranked[0];
+
+        if (!best) {
+            elements.ocrStatus.className = 'ocr-status error';
+            elements.ocrStatus.textContent = meterCrop
+                ? '❌ לא זוהו מספרים באזור המסומן. נסה לסמן אזור אחר, לבחור סוג תצוגה אחר או הזן ידנית'
+                : '❌ לא זוהו מספרים בתמונה. סמן על התמונה את אזור הספרות, נסה תמונה ברורה יותר או הזן ידנית';
+            return;
+        }
+
+        // Only a confident, plausible read is filled in; otherwise the user picks one
+        const confident = best.plausible && !OCR.isLowConfidence(best);
+        let statusText;
+        if (confident) {
+            const { curr } = getSubMeterInputs(unitId);
+            curr.value = best.value;
+            curr.dispatchEvent(new Event('input', { bubbles: true }));
+
+            elements.ocrStatus.className = 'ocr-status success';
+            statusText = `✅ זוהה: ${best.value}`;
+            if (best.confidence !== null) {
+                statusText += ` (ודאות ${best.confidence}%)`;
+            }
+            if (result.decimalsSeparated) {
+                statusText += ' (כולל הספרות האדומות אחרי הנקודה)';
+            }
+            statusText += '\nניתן לתקן ידנית אם הערך לא מדויק';
+        } else {
+            elements.ocrStatus.className = 'ocr-status warning';
+            statusText = best.plausible
+                ? '⚠️ הזיהוי לא ודאי - בחר את הקריאה הנכונה או הזן ידנית'
+                : `⚠️ ${best.reason} - בדוק את הקריאה, בחר אחת מהאפשרויות או הזן ידנית`;
+        }
+
+        const alternatives = confident ? ranked.slice(1, 4) : ranked.slice(0, 4);
+        elements.ocrStatus.innerHTML = `
+            <div>${escapeHtml(statusText).replace(/\n/g, '<br>')}</div>
+            ${alternatives.length > 0 ? `
+                <div class="ocr-candidates">
+                    ${confident ? '<span>אפשרויות נוספות:</span>' : ''}
+                    ${alternatives.map(candidate => `
+                        <button class="ocr-candidate ${candidate.plausible ? '' : 'implausible'} ${OCR.isLowConfidence(candidate) ? 'low-confidence' : ''}"
+                            data-unit="${unitId}" data-value="${candidate.value}" title="${escapeHtml(candidate.reason || '')}">
+                            ${candidate.value}${candidate.confidence !== null ? ` · ${candidate.confidence}%` : ''}
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // Live camera: frames inside the viewfinder are read until the same reading is seen
+    // Camera.REQUIRED_MATCHES times in a row, then that frame becomes the meter photo
+    function initCamera() {
+        if (!Camera.isSupported()) {
+            elements.cameraBtn.style.display = 'none';
+            return;
+        }
+
+        const frame = Camera.FRAME;
+        elements.cameraFrame.style.left = `${frame.x * 100}%`;
+        elements.cameraFrame.style.top = `${frame.y * 100}%`;
+        elements.cameraFrame.style.width = `${frame.width * 100}%`;
+        elements.cameraFrame.style.height = `${frame.height * 100}%`;
+
+        elements.cameraBtn.addEventListener('click', async () => {
+            elements.cameraView.style.display = 'block';
+            elements.cameraStatus.textContent = 'מפעיל מצלמה...';
+            try {
+                await Camera.start(elements.cameraVideo);
+            } catch (error) {
+                elements.cameraView.style.display = 'none';
+                showToast(`❌ ${error.message}`, 'error');
+                return;
+            }
+
+            cameraTorchOn = false;
+            elements.cameraTorch.classList.remove('active');
+            elements.cameraTorch.style.display = Camera.supportsTorch() ? 'inline-block' : 'none';
+            scanCamera();
+        });
+
+        elements.cameraTorch.addEventListener('click', async () => {
+            if (await Camera.setTorch(!cameraTorchOn)) {
+                cameraTorchOn = !cameraTorchOn;
+                elements.cameraTorch.classList.toggle('active', cameraTorchOn);
+            }
+        });
+
+        elements.cameraClose.addEventListener('click', stopCamera);
+    }
+
+    function stopCamera() {
+        if (!Camera.stream) return;
+        Camera.stop(elements.cameraVideo);
+        elements.cameraView.style.display = 'none';
+    }
+
+    async function scanCamera() {
+        const stream = Camera.stream;
+        let streak = null;
+        elements.cameraStatus.textContent = '🎯 כוון את ספרות המונה למסגרת';
+
+        // Runs until the camera is closed or restarted
+        while (Camera.stream === stream) {
+            await new Promise(resolve => setTimeout(resolve, Camera.SCAN_INTERVAL));
+            if (Camera.stream !== stream || !elements.cameraVideo.videoWidth) continue;
+            // A photo is being read: this frame waits for the next turn
+            if (OCR.isProcessing) continue;
+
+            let frame;
+            let result;
+            try {
+                frame = await Camera.grabFrame(elements.cameraVideo);
+                result = await OCR.processImage(frame, null, { mode: elements.meterOcrMode.value, crop: Camera.FRAME });
+            } catch (error) {
+                console.error('Camera scan error:', error);
+                continue;
+            }
+            if (Camera.stream !== stream) return;
+
+            const best = OCR.rankCandidates(result.found ? result.candidates : [], getReadingContext(elements.meterTarget.value))[0];
+            streak = Camera.nextStreak(streak, best && best.plausible ? best.value : null);
+
+            if (!streak) {
+                elements.cameraStatus.textContent = best
+                    ? `⚠️ ${best.value} - ${best.reason}`
+                    : '🎯 כוון את ספרות המונה למסגרת';
+                continue;
+            }
+            elements.cameraStatus.textContent = `👁️ ${streak.value} (${streak.count}/${Camera.REQUIRED_MATCHES})`;
+
+            if (streak.count >= Camera.REQUIRED_MATCHES) {
+                stopCamera();
+                await setMeterPhoto(frame, Camera.FRAME);
+                showMeterReading(Camera.confirm(result, streak.value));
+                return;
+            }
+        }
+    }
+
+    // What a meter reading is checked against: the previous reading (or the new meter's start
+    // after a replacement), the bill's days when entered and the unit's usual daily consumption
+    function getReadingContext(unitId) {
+        const subMeter = getSubMeterInputs(unitId);
+        const previous = subMeter.replaced.checked
+            ? parseFloat(subMeter.newStart.value)
+            : parseFloat(subMeter.prev.value);
+        const period = { start: elements.periodStart.value, end: elements.periodEnd.value };
+        const days = period.start && period.end ? Calculator.getPeriodDays(period) : null;
+
+        const usual = Anomalies.getUnitHistory(Storage.getAll(), currentBillType, days > 0 ? period : { start: '9999-12-31' }, unitId);
+        const usualDaily = usual.length > 0 ? usual.reduce((sum, value) => sum + value, 0) / usual.length : null;
+
+        return {
+            billType: currentBillType,
+            previous: isNaN(previous) ? null : previous,
+            digits: units.find(unit => unit.id === unitId)?.meterDigits?.[currentBillType],
+            days: days > 0 ? days : null,
+            usualDaily
+        };
+    }
 
-            elements.ocrStatus.style.display = 'block';
-            elements.ocrStatus.className = 'ocr-status loading';
-            elements.ocrStatus.innerHTML = '<span class="spinner"></span> מזהה מספרים מהתמונה...';
+    // Drag on the meter photo to mark the region with the digits
+    function initCrop() {
+        let start = null;
 
-            try {
-                const result = await OCR.processImage(file, (progress) => {
-                    elements.ocrStatus.innerHTML = `<span class="spinner"></span> מזהה... ${progress}%`;
-                });
+        const toPhoto = (e) => {
+            const box = getPhotoBox();
+            return {
+                x: Math.min(1, Math.max(0, (e.clientX - box.left) / box.width)),
+                y: Math.min(1, Math.max(0, (e.clientY - box.top) / box.height))
+            };
+        };
 
-                if (result.found && result.bestMatch !== null) {
-                    elements.subMeterCurr.value = result.bestMatch;
-                    elements.subMeterCurr.dispatchEvent(new Event('input'));
+        elements.previewImg.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            start = toPhoto(e);
+            elements.previewImg.setPointerCapture?.(e.pointerId);
+        });
 
-                    elements.ocrStatus.className = 'ocr-status success';
+        elements.previewImg.addEventListener('pointermove', (e) => {
+            if (!start) return;
+            const point = toPhoto(e);
+            setMeterCrop({
+                x: Math.min(start.x, point.x),
+                y: Math.min(start.y, point.y),
+                width: Math.abs(point.x - start.x),
+                height: Math.abs(point.y - start.y)
+            });
+        });
 
-                    let statusText = `✅ זוהה: ${result.bestMatch}`;
-                    if (result.numbers.length > 1) {
-                        statusText += ` (נמצאו גם: ${result.numbers.slice(1, 4).join(', ')})`;
-                    }
-                    statusText += '\nניתן לתקן ידנית אם הערך לא מדויק';
-                    elements.ocrStatus.textContent = statusText;
-                } else {
-                    elements.ocrStatus.className = 'ocr-status error';
-                    elements.ocrStatus.textContent = '❌ לא זוהו מספרים בתמונה. נסה תמונה ברורה יותר או הזן ידנית';
-                }
-            } catch (error) {
-                elements.ocrStatus.className = 'ocr-status error';
-                elements.ocrStatus.textContent = `❌ ${error.message}`;
+        elements.previewImg.addEventListener('pointerup', () => {
+            start = null;
+            // A tap rather than a drag clears the region
+            if (meterCrop && (meterCrop.width < 0.03 || meterCrop.height < 0.03)) {
+                setMeterCrop(null);
             }
         });
+    }
 
-        elements.removeImage.addEventListener('click', () => {
-            elements.imagePreview.style.display = 'none';
-            elements.ocrStatus.style.display = 'none';
-            elements.meterImage.value = '';
-            elements.previewImg.src = '';
-        });
+    // Where the photo is drawn inside the preview (it is letterboxed to fit)
+    function getPhotoBox() {
+        const img = elements.previewImg;
+        const rect = img.getBoundingClientRect();
+        const scale = Math.min(rect.width / img.naturalWidth, rect.height / img.naturalHeight) || 1;
+        const width = img.naturalWidth * scale || rect.width;
+        const height = img.naturalHeight * scale || rect.height;
+        return {
+            left: rect.left + (rect.width - width) / 2,
+            top: rect.top + (rect.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    function setMeterCrop(crop) {
+        meterCrop = crop;
+        elements.cropBox.style.display = crop ? 'block' : 'none';
+        if (!crop) return;
+
+        const box = getPhotoBox();
+        const preview = elements.imagePreview.getBoundingClientRect();
+        elements.cropBox.style.left = `${box.left - preview.left + crop.x * box.width}px`;
+        elements.cropBox.style.top = `${box.top - preview.top + crop.y * box.height}px`;
+        elements.cropBox.style.width = `${crop.width * box.width}px`;
+        elements.cropBox.style.height = `${crop.height * box.height}px`;
     }
 
     // === Calculate ===
     function initCalculate() {
         elements.calculateBtn.addEventListener('click', () => {
+            const touEnabled = currentBillType === 'electricity' && elements.touEnabled.checked;
             const params = {
                 billType: currentBillType,
                 totalBill: parseFloat(elements.totalBill.value),
                 totalConsumption: parseFloat(elements.totalConsumption.value),
-                subMeterPrev: parseFloat(elements.subMeterPrev.value),
-                subMeterCurr: parseFloat(elements.subMeterCurr.value)
+                billMonths: parseFloat(elements.billMonths.value) || 1,
+                period: {
+                    start: elements.periodStart.value,
+                    end: elements.periodEnd.value
+                },
+                lineItems: readLineItems(),
+                occupancyChanges: readOccupancyChanges(),
+                touBands: touEnabled ? readBands(elements.touBandInputs) || {} : null,
+                mainMeter: readMainMeter(),
+                commonMeters: readCommonMeters(),
+                units: units.map(unit => {
+                    if (unit.remainder) return { ...unit };
+                    return {
+                        ...unit,
+                        ...readSubMeter(unit),
+                        touBands: touEnabled ? readBands(getSubMeterInputs(unit.id).touBands) : null
+                    };
+                })
             };
 
             const result = Calculator.calculate(params);
@@ -377,11 +1707,20 @@
                 return;
             }
 
+            if (Photos.count(photos) > 0) {
+                result.photos = { receipt: photos.receipt, meters: { ...photos.meters } };
+            }
+
+            // Compare each unit with its own saved history
+            result.anomalies = Anomalies.check(result, Storage.getAll(), Settings.getAnomalyThresholds(result.billType));
+
             lastResult = result;
             displayResults(result);
 
-            // Auto-save current readings for next time
-            updateLastReadingsAfterCalc(result);
+            // Auto-save current readings for next time (a correction updates them when it is saved)
+            if (!editingEntry) {
+                updateLastReadingsAfterCalc(result);
+            }
         });
     }
 
@@ -393,15 +1732,93 @@
             elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }, 100);
 
-        elements.unit1Amount.textContent = Calculator.formatCurrency(result.unit1.amount);
-        elements.unit1Percent.textContent = Calculator.formatPercent(result.unit1.percent);
-        elements.unit2Amount.textContent = Calculator.formatCurrency(result.unit2.amount);
-        elements.unit2Percent.textContent = Calculator.formatPercent(result.unit2.percent);
+        elements.resultUnits.innerHTML = result.payers.map(payer => `
+            <div class="result-item">
+                <div class="result-label">🏠 ${escapeHtml(payer.unitName)}</div>
+                ${payer.name !== payer.unitName ? `<div class="result-payer">👤 ${escapeHtml(payer.name)}</div>` : ''}
+                <div class="result-amount">${Calculator.formatCurrency(payer.amount)}</div>
+                <div class="result-percent">${Calculator.formatPercent(payer.amount / result.totalBill * 100)}</div>
+            </div>
+        `).join('');
 
         elements.detailTotal.textContent = Calculator.formatCurrency(result.totalBill);
-        elements.detailTotalConsumption.textContent = `${result.totalConsumption} ${result.unitLabel}`;
-        elements.detailUnit2Consumption.textContent = `${result.unit2.consumption} ${result.unitLabel}`;
-        elements.detailUnit1Consumption.textContent = `${result.unit1.consumption} ${result.unitLabel}`;
+        elements.detailTotalConsumption.textContent = result.mainMeter?.applied
+            ? `${result.totalConsumption} ${result.unitLabel} (לפי המונה הראשי, בחשבון ${result.mainMeter.billed})`
+            : `${result.totalConsumption} ${result.unitLabel}`;
+        elements.detailPeriod.textContent = `${Calculator.formatPeriod(result.period)} (${result.periodDays} ימים)`;
+        elements.detailPerDay.textContent = `${result.perDay.consumption} ${result.unitLabel} · ${Calculator.formatCurrency(result.perDay.amount)}`;
+        elements.detailUnits.innerHTML = result.units.map(unit => `
+            <div class="detail-row">
+                <span>צריכה ${escapeHtml(unit.name)}${unit.remainder ? ' (הפרש)' : ''}:</span>
+                <span>${unit.consumption} ${result.unitLabel}</span>
+            </div>
+            <div class="detail-row detail-sub-row">
+                <span>ליום:</span>
+                <span>${unit.perDay.consumption} ${result.unitLabel} · ${Calculator.formatCurrency(unit.perDay.amount)}</span>
+            </div>
+            ${unit.meter?.replacement ? `
+                <div class="detail-row detail-sub-row">
+                    <span>🔄 המונה הוחלף ב-${Calculator.formatDate(unit.meter.replacement.date)}:</span>
+                    <span>ישן ${unit.meter.prev} → ${unit.meter.replacement.oldFinal} · חדש ${unit.meter.replacement.newStart} → ${unit.meter.curr}</span>
+                </div>
+            ` : ''}
+            ${unit.meter?.rollover ? `
+                <div class="detail-row detail-sub-row">
+                    <span>🔃 המונה עבר דרך אפס</span>
+                    <span>${unit.meter.replacement ? '' : `${unit.meter.prev} → ${unit.meter.curr}`}</span>
+                </div>
+            ` : ''}
+            ${(unit.occupants || []).map(occupant => `
+                <div class="detail-row detail-sub-row">
+                    <span>👤 ${escapeHtml(occupant.name)} (${Calculator.formatPeriod({ start: occupant.from, end: occupant.to })}, ${occupant.days} ימים):</span>
+                    <span>${occupant.consumption} ${result.unitLabel} · ${Calculator.formatCurrency(occupant.amount)}</span>
+                </div>
+            `).join('')}
+            ${unit.tou ? Object.entries(TOU_BANDS).map(([band, label]) => `
+                <div class="detail-row detail-sub-row">
+                    <span>${label}:</span>
+                    <span>${unit.tou[band].consumption} ${result.unitLabel} · ${Calculator.formatCurrency(unit.tou[band].cost)}</span>
+                </div>
+            `).join('') : ''}
+            ${unit.tiers ? `
+                <div class="detail-row detail-sub-row">
+                    <span>מדרגה נמוכה (${unit.residents} נפשות, עד ${unit.tiers.allowance} ${result.unitLabel}):</span>
+                    <span>${unit.tiers.lowConsumption} ${result.unitLabel} · ${Calculator.formatCurrency(unit.tiers.lowCost)}</span>
+                </div>
+                <div class="detail-row detail-sub-row">
+                    <span>מדרגה גבוהה:</span>
+                    <span>${unit.tiers.highConsumption} ${result.unitLabel} · ${Calculator.formatCurrency(unit.tiers.highCost)}</span>
+                </div>
+            ` : ''}
+        `).join('');
+
+        elements.detailCommonAreas.innerHTML = (result.commonAreas || []).map(common => `
+            <div class="detail-row">
+                <span>🏢 ${escapeHtml(common.name)} (${Calculator.COMMON_POLICIES[common.policy]}):</span>
+                <span>${common.consumption} ${result.unitLabel} · ${Calculator.formatCurrency(common.amount)}</span>
+            </div>
+            ${result.units.map(unit => `
+                <div class="detail-row detail-sub-row">
+                    <span>${escapeHtml(unit.name)}:</span>
+                    <span>${Calculator.formatCurrency(common.shares[unit.id])}</span>
+                </div>
+            `).join('')}
+        `).join('');
+
+        // Per-component breakdown only matters when there is more than the consumption part
+        elements.detailLineItems.innerHTML = result.lineItems.length > 1 ? result.lineItems.map(item => `
+            <div class="detail-row">
+                <span>${escapeHtml(item.label)} (${Calculator.SPLIT_POLICIES[item.policy]}):</span>
+                <span>${Calculator.formatCurrency(item.amount)}</span>
+            </div>
+            ${result.units.map(unit => `
+                <div class="detail-row detail-sub-row">
+                    <span>${escapeHtml(unit.name)}:</span>
+                    <span>${Calculator.formatCurrency(item.shares[unit.id])}</span>
+                </div>
+            `).join('')}
+        `).join('') : '';
+
         elements.detailActualRate.textContent = `${Calculator.formatCurrency(result.actualRatePerUnit)}/${result.unitLabel}`;
 
         if (result.officialRate) {
@@ -411,20 +1828,41 @@
         if (result.rateCheck) {
             elements.rateStatus.style.display = 'block';
             elements.rateStatus.className = `rate-status ${result.rateCheck.status}`;
-            elements.rateStatus.textContent = result.rateCheck.message;
+            elements.rateStatus.textContent = result.rateCheck.tariff
+                ? `${result.rateCheck.message}\n${result.rateCheck.tariff}`
+                : result.rateCheck.message;
+        }
+
+        const mainMeter = result.mainMeter;
+        elements.mainMeterResult.style.display = mainMeter?.message ? 'block' : 'none';
+        if (mainMeter?.message) {
+            elements.mainMeterResult.className = `rate-status ${mainMeter.estimated || mainMeter.suspectedEstimate ? 'warning' : 'fair'}`;
+            elements.mainMeterResult.textContent = mainMeter.applied
+                ? `${mainMeter.message}\nהחלוקה לפי הצריכה המתואמת (${mainMeter.reconciled} ${result.unitLabel})`
+                : mainMeter.message;
         }
+
+        const anomalies = result.anomalies || [];
+        elements.anomalyStatus.style.display = anomalies.length > 0 ? 'block' : 'none';
+        elements.anomalyStatus.textContent = anomalies.map(anomaly => anomaly.message).join('\n');
     }
 
     // === Save & Share ===
     function initActions() {
-        elements.saveResult.addEventListener('click', () => {
+        elements.saveResult.addEventListener('click', async () => {
             if (!lastResult) {
                 showToast('אין תוצאה לשמירה', 'error');
                 return;
             }
 
-            const saved = Storage.save(lastResult);
+            if (editingEntry) {
+                saveRevision();
+                return;
+            }
+
+            const saved = await Storage.save(lastResult);
             if (saved) {
+                clearPhotos();
                 showToast('✅ נשמר בהצלחה!');
             } else {
                 showToast('❌ שגיאה בשמירה', 'error');
@@ -445,6 +1883,19 @@
 
     // === History ===
     function initHistory() {
+        elements.historyList.addEventListener('click', handlePaymentClick);
+        elements.historyList.addEventListener('click', (e) => {
+            const statementBtn = e.target.closest('.history-statement-btn');
+            if (!statementBtn) return;
+
+            const history = Storage.getAll();
+            const entry = history.find(item => item.id === statementBtn.dataset.entry);
+            openStatement(Statement.buildUnitStatement(entry, statementBtn.dataset.unit, {
+                history,
+                dueDays: Settings.getStatementDueDays()
+            }));
+        });
+
         elements.clearHistory.addEventListener('click', () => {
             if (confirm('האם למחוק את כל ההיסטוריה?')) {
                 Storage.clearAll();
@@ -480,6 +1931,12 @@
                         </div>
                         <div class="history-item-date">${date}</div>
                     </div>
+                    ${entry.period ? `
+                        <div class="history-item-period">
+                            🗓️ ${Calculator.formatPeriod(entry.period)} · ${entry.periodDays} ימים ·
+                            ${entry.perDay.consumption} ${entry.unitLabel} ליום
+                        </div>
+                    ` : ''}
                     <div class="history-item-details">
                         <div class="history-detail">
                             <span class="history-detail-label">סה"כ חשבונית</span>
@@ -487,18 +1944,56 @@
                         </div>
                         <div class="history-detail">
                             <span class="history-detail-label">צריכה כוללת</span>
-                            <span class="history-detail-value">${entry.totalConsumption} ${entry.unitLabel}</span>
-                        </div>
-                        <div class="history-detail">
-                            <span class="history-detail-label">🏠 יחידה 1</span>
-                            <span class="history-detail-value">${Calculator.formatCurrency(entry.unit1.amount)} (${Calculator.formatPercent(entry.unit1.percent)})</span>
-                        </div>
-                        <div class="history-detail">
-                            <span class="history-detail-label">🏠 יחידה 2</span>
-                            <span class="history-detail-value">${Calculator.formatCurrency(entry.unit2.amount)} (${Calculator.formatPercent(entry.unit2.percent)})</span>
+                            <span class="history-detail-value">${entry.totalConsumption} ${entry.unitLabel}${entry.mainMeter?.applied ? ' 📟' : ''}${entry.mainMeter?.estimated ? ' (הערכה)' : ''}</span>
                         </div>
+                        ${(entry.commonAreas || []).map(common => `
+                            <div class="history-detail">
+                                <span class="history-detail-label">🏢 ${escapeHtml(common.name)}</span>
+                                <span class="history-detail-value">${common.consumption} ${entry.unitLabel} · ${Calculator.formatCurrency(common.amount)}</span>
+                            </div>
+                        `).join('')}
+                        ${entry.units.map(unit => `
+                            <div class="history-detail">
+                                <span class="history-detail-label">🏠 ${escapeHtml(unit.name)}</span>
+                                <span class="history-detail-value">${Calculator.formatCurrency(unit.amount)} (${Calculator.formatPercent(unit.percent)})</span>
+                                ${unit.perDay ? `<span class="history-detail-label">${Calculator.formatCurrency(unit.perDay.amount)} ליום</span>` : ''}
+                                ${unit.meter?.replacement ? '<span class="history-detail-label">🔄 המונה הוחלף</span>' : ''}
+                                ${(unit.occupants || []).map(occupant => `
+                                    <span class="history-detail-label">👤 ${escapeHtml(occupant.name)}: ${Calculator.formatCurrency(occupant.amount)}</span>
+                                `).join('')}
+                                <button class="history-statement-btn" data-entry="${entry.id}" data-unit="${unit.id}">🧾 דוח</button>
+                            </div>
+                        `).join('')}
                     </div>
+                    ${Photos.count(entry.photos) > 0 ? `
+                        <details class="history-photos">
+                            <summary>📷 תמונות (${Photos.count(entry.photos)})</summary>
+                            <div class="history-photo-grid">
+                                ${Photos.list(entry).map(photo => `
+                                    <figure>
+                                        <img src="${escapeHtml(photo.src)}" alt="" loading="lazy">
+                                        <figcaption>${escapeHtml(photo.label)}</figcaption>
+                                    </figure>
+                                `).join('')}
+                            </div>
+                        </details>
+                    ` : ''}
+                    ${renderEntryPayments(entry)}
+                    ${entry.revisions?.length ? `
+                        <details class="history-revisions">
+                            <summary>✏️ תוקן ${entry.revisions.length === 1 ? 'פעם אחת' : `${entry.revisions.length} פעמים`} · לאחרונה ${Storage.formatDate(entry.revisedAt)}</summary>
+                            ${[...entry.revisions].reverse().map(revision => `
+                                <div class="history-revision">
+                                    <div class="history-revision-date">${Storage.formatDate(revision.date)}</div>
+                                    ${revision.changes.map(change => `
+                                        <div>${escapeHtml(change.label)}: מ-${escapeHtml(change.from)} ל-${escapeHtml(change.to)}</div>
+                                    `).join('')}
+                                </div>
+                            `).join('')}
+                        </details>
+                    ` : ''}
                     <div class="history-item-actions">
+                        <button class="history-edit-btn" onclick="App.editHistoryItem('${entry.id}')">✏️ ערוך</button>
                         <button class="history-delete-btn" onclick="App.deleteHistoryItem('${entry.id}')">🗑️ מחק</button>
                     </div>
                 </div>
@@ -506,6 +2001,730 @@
         }).join('');
     }
 
+    // === Payments ===
+    function renderEntryPayments(entry) {
+        const tracked = entry.units.filter(unit => {
+            const configured = units.find(u => u.id === unit.id);
+            return configured && Payments.isTracked(configured);
+        });
+        if (tracked.length === 0) return '';
+
+        return `
+            <div class="history-payments">
+                ${tracked.map(unit => {
+                    const status = Payments.getStatus(entry, unit.id);
+                    const paid = Payments.getPaid(entry, unit.id);
+                    const remaining = Math.max(0, Math.round((unit.amount - paid) * 100) / 100);
+                    return `
+                        <div class="history-payment-unit">
+                            <div class="history-payment-header">
+                                <span class="payment-status ${status}">${Payments.STATUS_LABELS[status]}</span>
+                                <span class="history-detail-label">${escapeHtml(unit.name)}: ${Calculator.formatCurrency(paid)} מתוך ${Calculator.formatCurrency(unit.amount)}</span>
+                                <button class="payment-toggle-btn" data-entry="${entry.id}" data-unit="${unit.id}">💳 תשלום</button>
+                            </div>
+                            ${(entry.payments?.[unit.id] || []).map((payment, index) => `
+                                <div class="payment-row">
+                                    <span>${Calculator.formatDate(payment.date)} · ${Calculator.formatCurrency(payment.amount)} · ${Payments.METHODS[payment.method] || payment.method}</span>
+                                    <button class="payment-delete-btn" data-entry="${entry.id}" data-unit="${unit.id}" data-index="${index}" title="מחק תשלום">✕</button>
+                                </div>
+                            `).join('')}
+                            <div class="payment-form" style="display:none;">
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label>סכום</label>
+                                        <input type="number" class="payment-amount" value="${remaining || ''}" step="0.01" min="0">
+                                    </div>
+                                    <div class="form-group">
+                                        <label>תאריך</label>
+                                        <input type="date" class="payment-date" value="${today()}">
+                                    </div>
+                                </div>
+                                <div class="form-group">
+                                    <select class="payment-method">
+                                        ${Object.entries(Payments.METHODS).map(([method, label]) => `<option value="${method}">${label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <button class="add-row-btn payment-add-btn" data-entry="${entry.id}" data-unit="${unit.id}">✔️ רשום תשלום</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    async function handlePaymentClick(e) {
+        const toggleBtn = e.target.closest('.payment-toggle-btn');
+        if (toggleBtn) {
+            const form = toggleBtn.closest('.history-payment-unit').querySelector('.payment-form');
+            form.style.display = form.style.display === 'none' ? 'block' : 'none';
+            return;
+        }
+
+        const addBtn = e.target.closest('.payment-add-btn');
+        if (addBtn) {
+            const form = addBtn.closest('.payment-form');
+            const amount = parseFloat(form.querySelector('.payment-amount').value);
+            const date = form.querySelector('.payment-date').value;
+            if (isNaN(amount) || amount <= 0 || !date) {
+                showToast('יש להזין סכום ותאריך תשלום', 'error');
+                return;
+            }
+
+            const stored = await Storage.addPayment(addBtn.dataset.entry, addBtn.dataset.unit, {
+                date,
+                amount: Math.round(amount * 100) / 100,
+                method: form.querySelector('.payment-method').value
+            });
+            renderHistory();
+            if (stored) {
+                showToast('✅ התשלום נרשם');
+            } else {
+                showToast('❌ שגיאה בשמירת התשלום', 'error');
+            }
+            return;
+        }
+
+        const deleteBtn = e.target.closest('.payment-delete-btn');
+        if (deleteBtn) {
+            const stored = await Storage.deletePayment(deleteBtn.dataset.entry, deleteBtn.dataset.unit, parseInt(deleteBtn.dataset.index, 10));
+            renderHistory();
+            if (!stored) {
+                showToast('❌ שגיאה במחיקת התשלום', 'error');
+            }
+        }
+    }
+
+    function renderBalances() {
+        const balances = Payments.getBalances(Storage.getAll(), units);
+
+        if (balances.length === 0 || balances.every(balance => balance.ledger.length === 0)) {
+            elements.balancesList.innerHTML = `
+                <div class="empty-history">
+                    <span>💳</span>
+                    <p>אין עדיין חשבונות שמורים ליחידות במעקב</p>
+                </div>
+            `;
+            return;
+        }
+
+        elements.balancesList.innerHTML = balances.map(balance => {
+            const state = balance.balance > 0.005 ? 'owes' : balance.balance < -0.005 ? 'credit' : 'settled';
+            const summary = {
+                owes: `חייב ${Calculator.formatCurrency(balance.balance)}`,
+                credit: `זכות ${Calculator.formatCurrency(-balance.balance)}`,
+                settled: 'הכל שולם ✅'
+            }[state];
+
+            return `
+                <div class="history-item balance-item">
+                    <div class="history-item-header">
+                        <div class="history-item-type">🏠 ${escapeHtml(balance.name)}</div>
+                        <div class="balance-amount ${state}">${summary}</div>
+                    </div>
+                    <div class="history-detail-label">חויב ${Calculator.formatCurrency(balance.owed)} · שולם ${Calculator.formatCurrency(balance.paid)}</div>
+                    ${balance.ledger.length > 0 ? `
+                        <details class="history-revisions">
+                            <summary>פירוט חשבונות (${balance.ledger.length})</summary>
+                            ${[...balance.ledger].reverse().map(row => `
+                                <div class="balance-row">
+                                    <span>${RATES[row.entry.billType].icon} ${row.entry.period ? Calculator.formatPeriod(row.entry.period) : Storage.formatDate(row.entry.date)}</span>
+                                    <span>${Calculator.formatCurrency(row.owed)} · ${Payments.STATUS_LABELS[row.status]} · יתרה ${Calculator.formatCurrency(row.balance)}</span>
+                                </div>
+                            `).join('')}
+                        </details>
+                    ` : ''}
+                    ${state === 'owes' ? `
+                        <div class="history-item-actions">
+                            <button class="history-edit-btn balance-remind-btn" data-unit="${balance.unitId}">📱 שלח תזכורת</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // === Monthly Settlement ===
+    function getSettlement() {
+        return Settlement.build(Storage.getAll(), elements.settlementMonth.value, units);
+    }
+
+    function renderSettlement() {
+        const months = Settlement.getMonths(Storage.getAll());
+        const selectedMonth = elements.settlementMonth.value;
+
+        elements.settlementMonth.innerHTML = months.map(month => `
+            <option value="${month}">${Stats.formatMonth(month)}</option>
+        `).join('');
+        if (months.includes(selectedMonth)) elements.settlementMonth.value = selectedMonth;
+
+        if (months.length === 0) {
+            elements.settlementList.innerHTML = `
+                <div class="empty-history">
+                    <span>🗓️</span>
+                    <p>אין עדיין חשבונות שמורים</p>
+                </div>
+            `;
+            elements.settlementShareBtn.style.display = 'none';
+            return;
+        }
+        elements.settlementShareBtn.style.display = '';
+
+        const settlement = getSettlement();
+        elements.settlementList.innerHTML = settlement.units.map(unit => {
+            const state = unit.due > 0.005 ? 'owes' : 'settled';
+            return `
+                <div class="history-item balance-item">
+                    <div class="history-item-header">
+                        <div class="history-item-type">🏠 ${escapeHtml(unit.name)}</div>
+                        <div class="balance-amount ${unit.tracked ? state : ''}">${Calculator.formatCurrency(unit.total)}</div>
+                    </div>
+                    ${unit.lines.map(line => `
+                        <div class="balance-row">
+                            <span>${RATES[line.billType].icon} ${RATES[line.billType].name}${line.entry.period ? ` ${Calculator.formatPeriod(line.entry.period)}` : ''}</span>
+                            <span>${Calculator.formatCurrency(line.amount)}${unit.tracked ? ` · ${Payments.STATUS_LABELS[Payments.getStatus(line.entry, unit.unitId)]}` : ''}</span>
+                        </div>
+                    `).join('')}
+                    ${unit.tracked ? `
+                        <div class="history-detail-label">שולם ${Calculator.formatCurrency(unit.paid)} · ${state === 'owes' ? `נותר ${Calculator.formatCurrency(unit.due)}` : 'הכל שולם ✅'}</div>
+                    ` : ''}
+                    ${unit.tracked && state === 'owes' ? `
+                        <div class="history-item-actions">
+                            <button class="history-edit-btn settlement-pay-toggle">💳 תשלום</button>
+                        </div>
+                        <div class="payment-form" style="display:none;">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label>סכום</label>
+                                    <input type="number" class="payment-amount" value="${unit.due}" step="0.01" min="0">
+                                </div>
+                                <div class="form-group">
+                                    <label>תאריך</label>
+                                    <input type="date" class="payment-date" value="${today()}">
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <select class="payment-method">
+                                    ${Object.entries(Payments.METHODS).map(([method, label]) => `<option value="${method}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <button class="add-row-btn settlement-pay-btn" data-unit="${unit.unitId}">✔️ רשום תשלום</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    async function handleSettlementClick(e) {
+        const toggleBtn = e.target.closest('.settlement-pay-toggle');
+        if (toggleBtn) {
+            const form = toggleBtn.closest('.balance-item').querySelector('.payment-form');
+            form.style.display = form.style.display === 'none' ? 'block' : 'none';
+            return;
+        }
+
+        const payBtn = e.target.closest('.settlement-pay-btn');
+        if (!payBtn) return;
+
+        const form = payBtn.closest('.payment-form');
+        const amount = parseFloat(form.querySelector('.payment-amount').value);
+        const date = form.querySelector('.payment-date').value;
+        if (isNaN(amount) || amount <= 0 || !date) {
+            showToast('יש להזין סכום ותאריך תשלום', 'error');
+            return;
+        }
+
+        // One payment for the month is recorded on each of its bills
+        const unit = getSettlement().units.find(u => u.unitId === payBtn.dataset.unit);
+        const method = form.querySelector('.payment-method').value;
+        const allocations = Settlement.allocate(unit, amount);
+        let failed = 0;
+        for (const allocation of allocations) {
+            const stored = await Storage.addPayment(allocation.entryId, unit.unitId, { date, amount: allocation.amount, method });
+            if (!stored) failed++;
+        }
+        renderSettlement();
+        renderBalances();
+        if (failed === 0) {
+            showToast('✅ התשלום נרשם');
+        } else if (failed === allocations.length) {
+            showToast('❌ שגיאה בשמירת התשלום', 'error');
+        } else {
+            showToast('⚠️ התשלום נרשם רק בחלק מהחשבונות - בדקו את החשבונות של החודש', 'error');
+        }
+    }
+
+    function renderAnnualOptions() {
+        const history = Storage.getAll();
+        const selectedUnit = elements.annualUnit.value;
+        const selectedYear = elements.annualYear.value;
+
+        elements.annualUnit.innerHTML = units.map(unit => `
+            <option value="${unit.id}">${escapeHtml(unit.name)}</option>
+        `).join('');
+        elements.annualYear.innerHTML = Statement.getYears(history).map(year => `
+            <option value="${year}">${year}</option>
+        `).join('');
+
+        if (units.some(unit => unit.id === selectedUnit)) elements.annualUnit.value = selectedUnit;
+        if (selectedYear && [...elements.annualYear.options].some(option => option.value === selectedYear)) {
+            elements.annualYear.value = selectedYear;
+        }
+    }
+
+    function openStatement(html) {
+        if (!Statement.open(html)) {
+            showToast('הדפדפן חסם את פתיחת הדוח - יש לאפשר חלונות קופצים', 'error');
+        }
+    }
+
+    function initPayments() {
+        elements.annualStatementBtn.addEventListener('click', () => {
+            const unit = units.find(u => u.id === elements.annualUnit.value);
+            const year = parseInt(elements.annualYear.value, 10);
+            if (!unit || isNaN(year)) {
+                showToast('אין חשבונות שמורים להפקת סיכום', 'error');
+                return;
+            }
+
+            openStatement(Statement.buildAnnualStatement(Storage.getAll(), unit.id, unit.name, year));
+        });
+
+        elements.settlementMonth.addEventListener('change', renderSettlement);
+        elements.settlementList.addEventListener('click', handleSettlementClick);
+        elements.settlementShareBtn.addEventListener('click', () => {
+            const message = Calculator.generateWhatsAppMessage(getSettlement());
+            window.open(`https://wa.me/?text=${encodeURIComponent(message)}`, '_blank');
+        });
+
+        elements.balancesList.addEventListener('click', (e) => {
+            const remindBtn = e.target.closest('.balance-remind-btn');
+            if (!remindBtn) return;
+
+            const balance = Payments.getBalances(Storage.getAll(), units).find(b => b.unitId === remindBtn.dataset.unit);
+            const message = Payments.generateReminderMessage(balance);
+            window.open(`https://wa.me/?text=${encodeURIComponent(message)}`, '_blank');
+        });
+    }
+
+    // Today as 'YYYY-MM-DD' in local time
+    function today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    // === Editing Saved Calculations ===
+    function initEditing() {
+        elements.cancelEdit.addEventListener('click', () => {
+            stopEditing();
+            selectBillType(currentBillType);
+        });
+    }
+
+    // Open a saved calculation in the form so it can be corrected and saved as a revision
+    function editEntry(id) {
+        const entry = Storage.getAll().find(e => e.id === id);
+        if (!entry) return;
+
+        const inputs = Calculator.getEntryInputs(entry);
+        selectBillType(entry.billType);
+
+        elements.totalBill.value = inputs.totalBill;
+        elements.totalConsumption.value = inputs.totalConsumption;
+        elements.periodStart.value = inputs.period?.start || '';
+        elements.periodEnd.value = inputs.period?.end || '';
+        if (inputs.billMonths) {
+            elements.billMonths.value = inputs.billMonths;
+        }
+
+        if (inputs.touBands) {
+            elements.touEnabled.checked = true;
+            elements.touEnabled.dispatchEvent(new Event('change'));
+            elements.touBandInputs.forEach(input => { input.value = inputs.touBands[input.dataset.band] ?? ''; });
+        }
+
+        const mainMeter = inputs.mainMeter || {};
+        elements.mainMeterPrev.value = mainMeter.prev ?? '';
+        elements.mainMeterCurr.value = mainMeter.curr ?? '';
+        elements.mainMeterEstimated.checked = !!mainMeter.estimated;
+        elements.mainMeterUseReconciled.checked = !!mainMeter.useReconciled;
+        elements.mainMeterSection.open = !!inputs.mainMeter;
+        updateMainMeterStatus();
+
+        photos = { receipt: entry.photos?.receipt || null, meters: { ...entry.photos?.meters } };
+        setPreviewSrc(elements.receiptPreviewImg, photos.receipt || '');
+        elements.receiptPreview.style.display = photos.receipt ? 'block' : 'none';
+
+        lineItems = inputs.lineItems || [];
+        renderLineItems();
+        occupancyChanges = inputs.occupancyChanges || [];
+        renderOccupancyChanges();
+
+        // Units removed from the settings since can't be filled in
+        const missing = [];
+        inputs.units.filter(unit => !unit.remainder).forEach(saved => {
+            if (!units.some(unit => unit.id === saved.id && !unit.remainder)) {
+                missing.push(saved.name);
+                return;
+            }
+
+            const subMeter = getSubMeterInputs(saved.id);
+            subMeter.prev.value = saved.prev ?? '';
+            subMeter.curr.value = saved.curr ?? '';
+            if (saved.touBands) {
+                subMeter.touBands.forEach(input => { input.value = saved.touBands[input.dataset.band] ?? ''; });
+            }
+            if (saved.replacement) {
+                subMeter.replaced.checked = true;
+                subMeter.replacedDate.value = saved.replacement.date;
+                subMeter.oldFinal.value = saved.replacement.oldFinal;
+                subMeter.newStart.value = saved.replacement.newStart;
+            }
+            subMeter.prev.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        (inputs.commonMeters || []).forEach(saved => {
+            const row = getCommonMeterRow(saved.id);
+            if (!row) {
+                missing.push(saved.name);
+                return;
+            }
+
+            row.querySelector('.common-meter-prev').value = saved.prev ?? '';
+            row.querySelector('.common-meter-curr').value = saved.curr ?? '';
+            row.querySelector('.common-meter-prev').dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        editingEntry = entry;
+        elements.editBannerText.textContent = `✏️ עריכת חישוב ${RATES[entry.billType].name}` +
+            (entry.period ? ` לתקופה ${Calculator.formatPeriod(entry.period)}` : '');
+        elements.editBanner.style.display = 'flex';
+        elements.saveResult.textContent = '💾 שמור תיקון';
+        showTab('calculator');
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+
+        if (missing.length > 0) {
+            showToast(`${missing.join(', ')} כבר לא מוגדרות בהגדרות - הקריאות שלהן לא נטענו`, 'error');
+        }
+    }
+
+    function stopEditing() {
+        editingEntry = null;
+        clearPhotos();
+        elements.editBanner.style.display = 'none';
+        elements.saveResult.textContent = '💾 שמור להיסטוריה';
+    }
+
+    async function saveRevision() {
+        const before = editingEntry;
+        const changes = Calculator.getRevisionChanges(before, lastResult);
+        if (changes.length === 0) {
+            showToast('לא בוצעו שינויים בחישוב');
+            return;
+        }
+
+        if (!Storage.getAll().some(entry => entry.id === before.id)) {
+            showToast('❌ החישוב המקורי לא נמצא בהיסטוריה', 'error');
+            return;
+        }
+
+        const updated = await Storage.update(before.id, lastResult, changes);
+        if (!updated) {
+            showToast('❌ שגיאה בשמירה', 'error');
+            return;
+        }
+
+        const staleBills = updateReadingsChain(before, updated);
+        stopEditing();
+        selectBillType(updated.billType);
+        showToast(staleBills > 0
+            ? '✅ התיקון נשמר. חשבון מאוחר יותר מתחיל מהקריאה הישנה - כדאי לתקן גם אותו'
+            : `✅ התיקון נשמר (${changes.length} שינויים)`);
+    }
+
+    // A corrected current reading moves the last-readings chain along with it when the
+    // next calculation was going to continue from the old reading - for the sub meters,
+    // the main meter and the common meters alike.
+    // Returns how many later saved bills still start from the old reading.
+    function updateReadingsChain(before, after) {
+        const readings = getLastReadings() || { electricity: {}, water: {} };
+        const typeReadings = { ...readings[after.billType] };
+        let staleBills = 0;
+
+        const mainCurr = (entry) => entry.mainMeter?.measured != null ? entry.mainMeter.curr : undefined;
+        const meters = [
+            ...after.units.map(unit => ({
+                id: unit.id,
+                oldCurr: before.units.find(u => u.id === unit.id)?.meter?.curr,
+                curr: unit.meter?.curr,
+                startsFrom: (entry, reading) => entry.units.some(u => u.id === unit.id && u.meter?.prev === reading)
+            })),
+            {
+                id: MAIN_METER_ID,
+                oldCurr: mainCurr(before),
+                curr: mainCurr(after),
+                startsFrom: (entry, reading) => entry.mainMeter?.measured != null && entry.mainMeter.prev === reading
+            },
+            ...(after.commonAreas || []).map(common => ({
+                id: common.id,
+                oldCurr: before.commonAreas?.find(c => c.id === common.id)?.meter.curr,
+                curr: common.meter.curr,
+                startsFrom: (entry, reading) => (entry.commonAreas || []).some(c => c.id === common.id && c.meter.prev === reading)
+            }))
+        ];
+
+        meters.forEach(meter => {
+            if (meter.curr === undefined || meter.oldCurr === undefined || meter.oldCurr === meter.curr) return;
+
+            if (typeReadings[meter.id] === meter.oldCurr) {
+                typeReadings[meter.id] = meter.curr;
+            }
+
+            staleBills += Storage.getAll().filter(entry =>
+                entry.id !== after.id &&
+                entry.billType === after.billType &&
+                meter.startsFrom(entry, meter.oldCurr)
+            ).length;
+        });
+
+        readings[after.billType] = typeReadings;
+        saveLastReadings(readings);
+        return staleBills;
+    }
+
+    // === Properties ===
+    // Everything the app holds in memory belongs to one property, so switching reloads the page
+    function initProperties() {
+        renderPropertySwitcher();
+
+        elements.propertySelect.addEventListener('change', () => {
+            let id = elements.propertySelect.value;
+            if (id === 'new') {
+                const name = prompt('שם הנכס החדש:')?.trim();
+                if (!name) {
+                    elements.propertySelect.value = Properties.getActiveId();
+                    return;
+                }
+                id = Properties.add(name).id;
+            }
+
+            Properties.setActive(id);
+            window.location.reload();
+        });
+
+        elements.deleteProperty.addEventListener('click', async () => {
+            const property = Properties.getActive();
+            if (!confirm(`למחוק את "${property.name}" עם כל היחידות, הקריאות וההיסטוריה שלו?`)) return;
+
+            await Storage.deleteProperty(property.id);
+            Properties.remove(property.id);
+            window.location.reload();
+        });
+    }
+
+    function renderPropertySwitcher() {
+        const activeId = Properties.getActiveId();
+        elements.propertySelect.innerHTML = `
+            ${Properties.getAll().map(property => `
+                <option value="${property.id}" ${property.id === activeId ? 'selected' : ''}>${escapeHtml(property.name)}</option>
+            `).join('')}
+            <option value="new">➕ נכס חדש...</option>
+        `;
+    }
+
+    function renderPropertySetup() {
+        elements.propertyName.value = Properties.getActive().name;
+        elements.deleteProperty.style.display = Properties.getAll().length > 1 ? 'block' : 'none';
+    }
+
+    // === Backup ===
+    function initBackup() {
+        // Exports hold the active property only, so its name goes in the file name
+        const stamp = () => `${Properties.getActive().name.replace(/[\\/:*?"<>|\s]+/g, '-')}-${new Date().toISOString().slice(0, 10)}`;
+
+        elements.exportJson.addEventListener('click', () => {
+            const json = Backup.toJson({
+                property: Properties.getActive().name,
+                history: Storage.getAll(),
+                lastReadings: getLastReadings() || {},
+                settings: Settings.getSaved(),
+                customRates: Storage.getCustomRates()
+            });
+            downloadFile(`utility-backup-${stamp()}.json`, json, 'application/json');
+        });
+
+        elements.exportCsv.addEventListener('click', () => {
+            const history = Storage.getAll();
+            if (history.length === 0) {
+                showToast('אין חישובים שמורים לייצוא', 'error');
+                return;
+            }
+            downloadFile(`utility-history-${stamp()}.csv`, Backup.toCsv(history), 'text/csv;charset=utf-8');
+        });
+
+        elements.importFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            e.target.value = '';
+
+            const parsed = Backup.parse(await file.text());
+            if (!parsed.success) {
+                showToast(`❌ ${parsed.error}`, 'error');
+                return;
+            }
+
+            importBackup(parsed);
+        });
+    }
+
+    function importBackup(parsed) {
+        const incoming = parsed.data;
+        const current = Storage.getAll();
+
+        // Entries that exist on both sides with different content: ask which version to keep
+        let merged = Backup.mergeHistory(current, incoming.history);
+        if (merged.conflicts.length > 0) {
+            const preferIncoming = confirm(
+                `${merged.conflicts.length} חישובים קיימים שונים מהגרסה שבגיבוי.\n` +
+                'אישור - להחליף אותם בגרסה מהגיבוי, ביטול - לשמור את הקיימים'
+            );
+            merged = Backup.mergeHistory(current, incoming.history, preferIncoming);
+        }
+
+        Storage.saveAll(merged.history);
+        const data = Backup.mergeData({
+            lastReadings: getLastReadings() || {},
+            settings: Settings.getSaved(),
+            customRates: Storage.getCustomRates()
+        }, { ...incoming, lastReadings: migrateLastReadings(incoming.lastReadings) });
+
+        saveLastReadings(data.lastReadings);
+        Settings.save(data.settings);
+        Storage.saveCustomRates(data.customRates);
+
+        units = Settings.getUnits();
+        renderSubMeters();
+        renderCommonMeters();
+        renderLineItems();
+        renderOccupancyChanges();
+        applyLastReadings(data.lastReadings);
+        renderHistory();
+
+        const parts = [`✅ יובאו ${merged.added} חישובים`];
+        if (merged.duplicates > 0) parts.push(`${merged.duplicates} כבר קיימים`);
+        if (merged.conflicts.length > 0) parts.push(`${merged.conflicts.length} התנגשויות`);
+        if (parsed.invalid > 0) parts.push(`${parsed.invalid} רשומות לא תקינות דולגו`);
+        showToast(parts.join(' · '));
+    }
+
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // === Statistics ===
+    let statsBillType = 'electricity';
+
+    function initStats() {
+        elements.statsTypeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                elements.statsTypeBtns.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                statsBillType = btn.dataset.type;
+                renderStats();
+            });
+        });
+
+        // Charts are drawn to the canvas width, so redraw when it changes
+        window.addEventListener('resize', () => {
+            if (elements.statsTab.classList.contains('active')) {
+                renderStats();
+            }
+        });
+    }
+
+    function renderStats() {
+        const history = Storage.getAll();
+        const monthly = Stats.getMonthly(history, statsBillType);
+        const unitLabel = RATES[statsBillType].unit;
+
+        elements.statsEmpty.style.display = monthly.months.length === 0 ? 'block' : 'none';
+        elements.statsCharts.style.display = monthly.months.length === 0 ? 'none' : 'block';
+        if (monthly.months.length === 0) return;
+
+        const labels = monthly.months.map(month => Stats.formatMonth(month));
+        const unitSeries = (field) => monthly.units.map((unit, i) => ({
+            label: unit.name,
+            color: Charts.COLORS[i % Charts.COLORS.length],
+            values: Stats.getSeries(monthly.byUnit[unit.id], monthly.months, field)
+        }));
+
+        const consumption = unitSeries('consumption');
+        elements.statsConsumptionTitle.textContent = `צריכה חודשית לפי יחידה (${unitLabel})`;
+        Charts.drawBars(elements.statsConsumptionChart, { labels, series: consumption });
+        elements.statsConsumptionLegend.innerHTML = renderLegend(consumption);
+
+        const cost = unitSeries('cost');
+        Charts.drawBars(elements.statsCostChart, { labels, series: cost, format: value => `₪${value}` });
+        elements.statsCostLegend.innerHTML = renderLegend(cost);
+
+        const years = Stats.getYearOverYear(monthly).map((row, i) => ({
+            label: row.year,
+            color: Charts.COLORS[i % Charts.COLORS.length],
+            values: row.values
+        }));
+        elements.statsYearTitle.textContent = `השוואה שנתית - צריכה לפי חודש (${unitLabel})`;
+        Charts.drawLine(elements.statsYearChart, { labels: Stats.MONTH_NAMES, series: years });
+        elements.statsYearLegend.innerHTML = renderLegend(years);
+
+        elements.statsPriceTitle.textContent = `מחיר ממוצע ל${unitLabel} (₪)`;
+        Charts.drawLine(elements.statsPriceChart, {
+            labels,
+            series: [{ label: unitLabel, color: Charts.TYPE_COLORS[statsBillType], values: Stats.getAveragePrices(monthly) }],
+            format: value => `₪${value}`
+        });
+
+        // Electricity vs water covers both bill types over their combined months
+        const byType = Object.keys(RATES).map(billType => ({ billType, monthly: Stats.getMonthly(history, billType) }));
+        const months = Stats.getMonthRange(byType.flatMap(type => type.monthly.months));
+        const compare = byType.map(({ billType, monthly: typeMonthly }) => ({
+            label: `${RATES[billType].icon} ${RATES[billType].name}`,
+            color: Charts.TYPE_COLORS[billType],
+            values: Stats.getSeries(typeMonthly.totals, months, 'cost')
+        }));
+        Charts.drawLine(elements.statsCompareChart, {
+            labels: months.map(month => Stats.formatMonth(month)),
+            series: compare,
+            format: value => `₪${value}`
+        });
+        elements.statsCompareLegend.innerHTML = renderLegend(compare);
+    }
+
+    function renderLegend(series) {
+        return series.map(s => `
+            <span class="chart-legend-item">
+                <span class="chart-legend-color" style="background:${s.color};"></span>
+                ${escapeHtml(s.label)}
+            </span>
+        `).join('');
+    }
+
+    // === HTML Escaping ===
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // === Toast Notification ===
     function showToast(message, type = 'info') {
         const existing = document.querySelector('.toast');
@@ -528,24 +2747,95 @@
 
     // === Public API ===
     window.App = {
+        editHistoryItem(id) {
+            editEntry(id);
+        },
+
         deleteHistoryItem(id) {
+            if (editingEntry?.id === id) {
+                stopEditing();
+            }
             Storage.delete(id);
             renderHistory();
             showToast('הרשומה נמחקה');
         }
     };
 
+    // === Offline & Updates ===
+    // The service worker keeps the app and OCR working offline. A new version waits
+    // until the user chooses to update, and the page reloads once it has taken over.
+    function initServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        elements.updateApp.addEventListener('click', () => {
+            navigator.serviceWorker.getRegistration().then(registration => {
+                registration?.waiting?.postMessage('skipWaiting');
+            });
+        });
+
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        const showUpdate = () => {
+            elements.updateBanner.style.display = 'flex';
+        };
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // Only an update waits: the first install has no controller to replace
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdate();
+            }
+            registration.addEventListener('updatefound', () => {
+                const installing = registration.installing;
+                installing.addEventListener('statechange', () => {
+                    if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdate();
+                    }
+                });
+            });
+        }).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
     // === Initialize ===
-    function init() {
+    async function init() {
+        // History is loaded from IndexedDB before anything reads it
+        await Storage.init();
+        Storage.onPhotosReduced = (entry, dropped) => {
+            showToast(dropped
+                ? '⚠️ אין מספיק מקום באחסון - החישוב נשמר בלי התמונות'
+                : 'האחסון כמעט מלא - התמונות נשמרו ברזולוציה נמוכה יותר', 'error');
+            renderHistory();
+        };
+
+        initProperties();
+        renderSubMeters();
+        renderCommonMeters();
         initSetup();
+        initRates();
         initTabs();
         initBillType();
+        initPeriod();
+        initMainMeter();
+        initTou();
+        initLineItems();
+        initOccupancyChanges();
         initLiveConsumption();
         initReceiptOCR();
         initOCR();
         initCalculate();
         initActions();
         initHistory();
+        initEditing();
+        initPayments();
+        initBackup();
+        initStats();
+        initServiceWorker();
     }
 
     if (document.readyState === 'loading') {
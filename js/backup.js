@@ -0,0 +1,233 @@
+/**
+ * Backup module - exports all saved data to a versioned JSON file (plus a CSV of
+ * the calculations for spreadsheets) and merges an imported file back in
+ *
+ * Imports never overwrite: history entries are merged by `id`, and an entry that
+ * exists on both sides with different content is reported as a conflict.
+ * Files from older versions are upgraded step by step through MIGRATIONS.
+ * A file holds the data of one property and is imported into the active one.
+ */
+
+const Backup = {
+    APP_ID: 'water-electricity-calculator',
+    VERSION: 1,
+
+    /**
+     * Upgrade steps: MIGRATIONS[n] turns a version n file into version n + 1.
+     * Version 0 is a bare history array, e.g. a copy of the localStorage value.
+     */
+    MIGRATIONS: {
+        0: (history) => ({
+            history,
+            lastReadings: {},
+            settings: {},
+            customRates: {}
+        })
+    },
+
+    CSV_COLUMNS: [
+        ['id', 'מזהה'],
+        ['saved', 'נשמר'],
+        ['billType', 'סוג חשבון'],
+        ['periodStart', 'תחילת תקופה'],
+        ['periodEnd', 'סוף תקופה'],
+        ['periodDays', 'ימים'],
+        ['totalBill', 'סה"כ חשבונית'],
+        ['totalConsumption', 'צריכה כוללת'],
+        ['unitLabel', 'יחידת מידה'],
+        ['unitName', 'יחידת דיור'],
+        ['consumption', 'צריכה'],
+        ['amount', 'לתשלום'],
+        ['percent', 'אחוז'],
+        ['perDayConsumption', 'צריכה ליום'],
+        ['perDayAmount', 'עלות ליום'],
+        ['photos', 'תמונות']
+    ],
+
+    /**
+     * Build the export file content
+     * @param {Object} data - { property, history, lastReadings, settings, customRates }
+     *                        where property is the name of the exported property
+     * @returns {string} JSON text
+     */
+    toJson(data) {
+        return JSON.stringify({
+            app: this.APP_ID,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            property: data.property,
+            history: data.history,
+            lastReadings: data.lastReadings || {},
+            settings: data.settings || {},
+            customRates: data.customRates || {}
+        }, null, 2);
+    },
+
+    /**
+     * Build a CSV of the calculations, one row per unit of every calculation
+     * @param {Array} history - Saved calculations
+     * @returns {string} CSV text (with a BOM so spreadsheet apps read the Hebrew correctly)
+     */
+    toCsv(history) {
+        const rows = history.flatMap(entry => entry.units.map(unit => ({
+            id: entry.id,
+            saved: entry.date,
+            billType: RATES[entry.billType]?.name || entry.billType,
+            periodStart: entry.period?.start || '',
+            periodEnd: entry.period?.end || '',
+            periodDays: entry.periodDays ?? '',
+            totalBill: entry.totalBill,
+            totalConsumption: entry.totalConsumption,
+            unitLabel: entry.unitLabel,
+            unitName: unit.name,
+            consumption: unit.consumption,
+            amount: unit.amount,
+            percent: Math.round(unit.percent * 10) / 10,
+            perDayConsumption: unit.perDay?.consumption ?? '',
+            perDayAmount: unit.perDay?.amount ?? '',
+            photos: Photos.count(entry.photos)
+        })));
+
+        const header = this.CSV_COLUMNS.map(([, title]) => title);
+        const lines = [header, ...rows.map(row => this.CSV_COLUMNS.map(([key]) => row[key]))]
+            .map(cells => cells.map(cell => this.csvCell(cell)).join(','));
+
+        return '\uFEFF' + lines.join('\r\n');
+    },
+
+    /**
+     * Quote a CSV cell when it contains a separator, quote or line break
+     */
+    csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Read and validate an export file, upgrading older versions
+     * @param {string} text - File content
+     * @returns {Object} { success, data?, invalid?, error? } where data has the
+     *                   current shape and invalid counts the history entries dropped
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { success: false, error: 'הקובץ אינו קובץ JSON תקין' };
+        }
+
+        let version = Array.isArray(data) ? 0 : data?.version;
+        if (!Array.isArray(data) && data?.app !== this.APP_ID) {
+            return { success: false, error: 'הקובץ אינו גיבוי של המחשבון' };
+        }
+        if (!Number.isInteger(version) || version < 0) {
+            return { success: false, error: 'גרסת הגיבוי אינה מוכרת' };
+        }
+        if (version > this.VERSION) {
+            return { success: false, error: 'הגיבוי נוצר בגרסה חדשה יותר של המחשבון - יש לעדכן את האפליקציה' };
+        }
+
+        while (version < this.VERSION) {
+            data = this.MIGRATIONS[version](data);
+            version++;
+        }
+
+        if (!Array.isArray(data.history)) {
+            return { success: false, error: 'בגיבוי אין היסטוריית חישובים' };
+        }
+
+        const history = data.history
+            .filter(entry => entry && typeof entry === 'object')
+            .map(entry => Storage.normalizeEntry(entry))
+            .filter(entry => this.isValidEntry(entry));
+
+        return {
+            success: true,
+            invalid: data.history.length - history.length,
+            data: {
+                history,
+                lastReadings: data.lastReadings || {},
+                settings: data.settings || {},
+                customRates: data.customRates || {}
+            }
+        };
+    },
+
+    /**
+     * Whether a history entry has what the app needs to display it
+     */
+    isValidEntry(entry) {
+        return typeof entry.id === 'string' &&
+            typeof entry.date === 'string' &&
+            entry.billType in RATES &&
+            typeof entry.totalBill === 'number' &&
+            typeof entry.totalConsumption === 'number' &&
+            Array.isArray(entry.units) &&
+            entry.units.every(unit => unit && typeof unit.name === 'string' && typeof unit.amount === 'number');
+    },
+
+    /**
+     * Merge imported history into the current one by entry id
+     * @param {Array} current - Current history
+     * @param {Array} incoming - Imported history
+     * @param {boolean} [preferIncoming] - Take the imported version of conflicting entries
+     * @returns {Object} { history (newest first), added, duplicates, conflicts: [entry ids] }
+     */
+    mergeHistory(current, incoming, preferIncoming = false) {
+        const byId = new Map(current.map(entry => [entry.id, entry]));
+        const report = { added: 0, duplicates: 0, conflicts: [] };
+
+        incoming.forEach(entry => {
+            const existing = byId.get(entry.id);
+            if (!existing) {
+                byId.set(entry.id, entry);
+                report.added++;
+            } else if (JSON.stringify(existing) === JSON.stringify(entry)) {
+                report.duplicates++;
+            } else {
+                report.conflicts.push(entry.id);
+                if (preferIncoming) byId.set(entry.id, entry);
+            }
+        });
+
+        const history = [...byId.values()].sort((a, b) => b.date.localeCompare(a.date));
+        return { history, ...report };
+    },
+
+    /**
+     * Merge the imported settings, last readings and tariff periods.
+     * Whatever is already set locally is kept; only what is missing is added.
+     * Settings that were never saved locally are taken from the import as they are.
+     * @param {Object} current - { lastReadings, settings, customRates }
+     *                           (settings: as saved, empty when never saved)
+     * @param {Object} incoming - Same shape, from the import
+     * @returns {Object} Merged { lastReadings, settings, customRates }
+     */
+    mergeData(current, incoming) {
+        const lastReadings = { ...current.lastReadings };
+        Object.entries(incoming.lastReadings).forEach(([billType, readings]) => {
+            lastReadings[billType] = { ...readings, ...lastReadings[billType] };
+        });
+
+        let settings = { ...incoming.settings, ...current.settings };
+        if (current.settings.units && incoming.settings.units) {
+            const units = [...current.settings.units];
+            incoming.settings.units.forEach(unit => {
+                if (!units.some(u => u.id === unit.id)) {
+                    units.push({ ...unit, remainder: false });
+                }
+            });
+            settings = { ...settings, units };
+        }
+
+        const customRates = { ...current.customRates };
+        Object.entries(incoming.customRates).forEach(([billType, periods]) => {
+            const local = customRates[billType] || [];
+            const missing = periods.filter(p => !local.some(l => l.effectiveFrom === p.effectiveFrom));
+            customRates[billType] = [...local, ...missing].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        });
+
+        return { lastReadings, settings, customRates };
+    }
+};
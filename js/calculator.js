@@ -1,53 +1,235 @@
 /**
- * Calculator module for splitting utility bills between 2 housing units
+ * Calculator module for splitting utility bills between housing units
  * 
  * Simplified Logic:
  * - Total consumption comes directly from the bill
- * - Sub meter: consumption for unit 2 only (current - previous reading)
- * - Unit 1 consumption = Total consumption - Unit 2 consumption
+ * - Each sub-metered unit: consumption = current - previous reading, across a
+ *   counter rollover (99999 → 00000) or a meter replaced during the period
+ * - Remainder unit consumption = Total consumption - all sub meters
  * - Each unit pays proportionally based on their consumption percentage
+ * - Water: when residents are set, each unit's consumption is priced by the
+ *   low/high tiers using its own allowance, and the bill is split by that cost
+ * - Time-of-use electricity: kWh per band (peak/off-peak) priced by season,
+ *   sub meters without their own band readings follow the main meter's mix
+ * - Line items (fixed charges, sewage, VAT...) carry their own split policy;
+ *   whatever is left of the bill is the consumption part
+ * - Every bill has a billing period; consumption and cost are also reported
+ *   per day so bills of different lengths can be compared
+ * - A tenant change mid-period splits a unit's share between the outgoing and
+ *   incoming occupant: consumption by an intermediate reading, fixed charges by days
+ * - Optional readings of the main meter are compared with the billed consumption.
+ *   The running difference (estimated bills) is carried to the next bill, and the
+ *   split can use the reconciled consumption instead of the billed one
+ * - Common-area meters (stairwell, garden, pump) are taken out of the remainder
+ *   unit's consumption; their share of the consumption cost is split between the
+ *   units by the meter's own policy (equally, by floor area, by residents or by percent)
  */
 
 const Calculator = {
+    SPLIT_POLICIES: {
+        consumption: 'לפי צריכה',
+        equal: 'שווה בשווה',
+        percent: 'לפי אחוזים',
+        unit: 'על יחידה אחת'
+    },
+
+    COMMON_POLICIES: {
+        equal: 'שווה בשווה',
+        area: 'לפי שטח',
+        residents: 'לפי נפשות',
+        percent: 'לפי אחוזים'
+    },
+
+    DAYS_PER_MONTH: 365 / 12,
+
+    // Billed and measured main consumption agree within this many units or percent of it
+    RECONCILE_TOLERANCE: { units: 1, percent: 1 },
+
+    // What validation checks the sub meters against: the bill's consumption, or the
+    // main meter's reconciled consumption when it takes the bill's place
+    CONSUMPTION_TOTAL_LABELS: {
+        billed: 'הצריכה הכוללת בחשבונית',
+        reconciled: 'הצריכה המתואמת של המונה הראשי'
+    },
+
     /**
-     * Calculate the bill split between two units
+     * Calculate the bill split between the units
      * @param {Object} params
      * @param {string} params.billType - 'electricity' or 'water'
      * @param {number} params.totalBill - Total bill amount in ₪
      * @param {number} params.totalConsumption - Total consumption from the bill
-     * @param {number} params.subMeterPrev - Sub meter (unit 2) previous reading
-     * @param {number} params.subMeterCurr - Sub meter (unit 2) current reading
+     * @param {Array} params.units - Units: { id, name, remainder, residents, area?, prev, curr, meterDigits?, replacement?, touBands? }
+     *                               (prev/curr are sub meter readings, unused for the remainder unit;
+     *                               meterDigits: digit count of the sub meter's counter, for rollover;
+     *                               replacement: { date, oldFinal, newStart } when the meter was replaced,
+     *                               prev is then read from the old meter and curr from the new one;
+     *                               touBands: optional kWh per band read from a time-of-use sub meter)
+     * @param {Object} params.period - Billing period { start, end } as 'YYYY-MM-DD' (both days included)
+     * @param {number} [params.billMonths] - Months covered by the bill (water tier allowance),
+     *                                       defaults to the length of the billing period
+     * @param {Object} [params.touBands] - Time-of-use bill: kWh per band { peak, offPeak }
+     * @param {Array} [params.occupancyChanges] - Tenant changes: { unitId, date, reading, before, after }
+     *                                            (date: first day of the new occupant;
+     *                                            reading: sub meter reading on that date)
+     * @param {Array} [params.lineItems] - Bill components split by their own policy:
+     *                                     { label, amount, policy, unitId?, percents? }
+     *                                     (percents: { [unitId]: percent })
+     * @param {Object} [params.mainMeter] - Our main meter readings, see reconcileMainMeter()
+     * @param {Array} [params.commonMeters] - Common-area meters fed by the main meter:
+     *                                        { id, name, prev, curr, meterDigits?, policy, percents? }
+     *                                        (policy: see COMMON_POLICIES; percents: { [unitId]: percent })
      * @returns {Object} Calculation results
      */
     calculate(params) {
-        const { billType, totalBill, totalConsumption, subMeterPrev, subMeterCurr } = params;
+        const inputs = JSON.parse(JSON.stringify(params));
+
+        // The reconciled main consumption takes the bill's place when the user chose it
+        const mainMeter = params.mainMeter ? this.reconcileMainMeter(params.mainMeter, params.totalConsumption, RATES[params.billType]?.unit) : null;
+        if (mainMeter?.error) {
+            return { success: false, error: mainMeter.error };
+        }
+        if (mainMeter?.applied) {
+            params = this.withTotalConsumption(params, mainMeter.reconciled);
+        }
+
+        const { billType, totalBill, totalConsumption, units } = params;
+        const touBands = billType === 'electricity' && params.touBands ? { ...params.touBands } : null;
 
         // Validate inputs
-        const validation = this.validate(params);
+        const validation = this.validate(params, !!mainMeter?.applied);
         if (!validation.valid) {
             return { success: false, error: validation.error };
         }
 
-        // Calculate consumption
-        const unit2Consumption = subMeterCurr - subMeterPrev;
-        const unit1Consumption = totalConsumption - unit2Consumption;
+        const period = { start: params.period.start, end: params.period.end };
+        const periodDays = this.getPeriodDays(period);
+        const billMonths = params.billMonths > 0
+            ? params.billMonths
+            : Math.round(periodDays / this.DAYS_PER_MONTH * 10) / 10;
 
-        // Calculate percentages
-        const unit2Percent = (unit2Consumption / totalConsumption) * 100;
-        const unit1Percent = (unit1Consumption / totalConsumption) * 100;
+        // Calculate consumption of the sub-metered units and the common areas
+        const subUnits = units.filter(unit => !unit.remainder);
+        const subTotal = subUnits.reduce((sum, unit) => sum + this.getMeterConsumption(this.getMeter(unit)), 0);
+        const commonAreas = (params.commonMeters || []).map(common => {
+            const meter = this.getMeter(common);
+            return {
+                id: common.id,
+                name: common.name,
+                policy: common.policy,
+                percents: common.policy === 'percent' ? { ...common.percents } : undefined,
+                meter,
+                consumption: this.getMeterConsumption(meter)
+            };
+        });
+        const commonTotal = commonAreas.reduce((sum, common) => sum + common.consumption, 0);
 
-        // Calculate amounts
-        const unit2Amount = (totalBill * unit2Percent) / 100;
-        const unit1Amount = totalBill - unit2Amount;
+        const unitResults = units.map(unit => {
+            const meter = unit.remainder ? null : this.getMeter(unit);
+            return {
+                id: unit.id,
+                name: unit.name,
+                remainder: !!unit.remainder,
+                consumption: unit.remainder
+                    ? Math.round((totalConsumption - subTotal - commonTotal) * 1000) / 1000
+                    : this.getMeterConsumption(meter),
+                meter
+            };
+        });
 
-        // Calculate actual rate per unit
-        const actualRatePerUnit = totalBill / totalConsumption;
+        // Water with household sizes is split by tiered cost, anything else by consumption
+        const tiered = billType === 'water' && units.some(unit => unit.residents > 0);
+        const waterRate = tiered ? getRatesForPeriod('water', period) : null;
+        if (tiered) {
+            this.applyWaterTiers(unitResults, units, billMonths, waterRate);
+        }
+
+        // Time-of-use electricity is split by the band cost of each unit's consumption
+        const touPrices = touBands ? getTouPricesForPeriod(period) : null;
+        if (touBands) {
+            this.applyTouBands(unitResults, units, touBands, totalConsumption, touPrices, commonTotal);
+        }
+
+        // Split every bill component by its policy
+        const consumptionWeights = unitResults.map(unit => {
+            if (tiered) return unit.tiers.cost;
+            if (touBands) return unit.tou.cost;
+            return unit.consumption;
+        });
+        // Common areas have no resident allowance and follow the main meter's band mix
+        const commonWeights = commonAreas.map(common => {
+            if (tiered) return common.consumption * waterRate.highRate;
+            if (touBands) {
+                return Object.keys(TOU_BANDS).reduce((sum, band) =>
+                    sum + common.consumption * (touBands[band] || 0) / totalConsumption * touPrices[band], 0);
+            }
+            return common.consumption;
+        });
+        commonAreas.forEach(common => {
+            common.amount = 0;
+            common.shares = {};
+            units.forEach(unit => { common.shares[unit.id] = 0; });
+        });
+
+        const lineItems = this.buildLineItems(totalBill, params.lineItems).map(item => {
+            const shares = {};
+            if (item.policy !== 'consumption' || commonAreas.length === 0) {
+                const amounts = this.splitAmount(item.amount, this.getPolicyWeights(item, units, consumptionWeights));
+                units.forEach((unit, i) => { shares[unit.id] = amounts[i]; });
+                return { ...item, shares };
+            }
+
+            // The common areas' part of a consumption component goes to the units by each meter's policy
+            const amounts = this.splitAmount(item.amount, [...consumptionWeights, ...commonWeights]);
+            units.forEach((unit, i) => { shares[unit.id] = amounts[i]; });
+            commonAreas.forEach((common, c) => {
+                const commonAmount = amounts[units.length + c];
+                const commonShares = this.splitAmount(commonAmount, this.getPolicyWeights(common, units, consumptionWeights));
+                common.amount = Math.round((common.amount + commonAmount) * 100) / 100;
+                units.forEach((unit, i) => {
+                    shares[unit.id] = Math.round((shares[unit.id] + commonShares[i]) * 100) / 100;
+                    common.shares[unit.id] = Math.round((common.shares[unit.id] + commonShares[i]) * 100) / 100;
+                });
+            });
+            return { ...item, shares };
+        });
+
+        const consumptionAmount = lineItems
+            .filter(item => item.policy === 'consumption')
+            .reduce((sum, item) => sum + item.amount, 0);
+        const totalWeight = [...consumptionWeights, ...commonWeights].reduce((sum, weight) => sum + weight, 0);
+
+        unitResults.forEach(unit => {
+            unit.amount = Math.round(lineItems.reduce((sum, item) => sum + item.shares[unit.id], 0) * 100) / 100;
+            unit.percent = (unit.amount / totalBill) * 100;
+
+            // Scale the official tier/band prices to this bill so they add up to the consumption share
+            const scale = totalWeight > 0 ? consumptionAmount / totalWeight : 0;
+            if (tiered) {
+                unit.tiers.lowCost = Math.round(unit.tiers.lowCost * scale * 100) / 100;
+                unit.tiers.highCost = Math.round(unit.tiers.highCost * scale * 100) / 100;
+                delete unit.tiers.cost;
+            }
+            if (touBands) {
+                Object.keys(TOU_BANDS).forEach(band => {
+                    unit.tou[band].cost = Math.round(unit.tou[band].cost * scale * 100) / 100;
+                });
+                delete unit.tou.cost;
+            }
+
+            unit.perDay = this.perDay(unit.consumption, unit.amount, periodDays);
+        });
+
+        this.applyOccupancyChanges(unitResults, lineItems, params.occupancyChanges || [], period);
+        const payers = this.getPayers(unitResults);
+
+        // Calculate actual rate per unit (consumption part only, fixed charges excluded)
+        const actualRatePerUnit = consumptionAmount / totalConsumption;
 
         // Check rate fairness
-        const rateCheck = checkRateFairness(billType, actualRatePerUnit);
+        const rateCheck = checkRateFairness(billType, actualRatePerUnit, period, touBands);
 
         // Get official rate for display
-        const officialRate = getOfficialRate(billType);
+        const officialRate = getOfficialRate(billType, period, touBands);
 
         // Get unit label
         const unitLabel = RATES[billType].unit;
@@ -57,31 +239,537 @@ const Calculator = {
             billType,
             totalBill,
             totalConsumption,
-            unit1: {
-                consumption: unit1Consumption,
-                percent: unit1Percent,
-                amount: Math.round(unit1Amount * 100) / 100
-            },
-            unit2: {
-                consumption: unit2Consumption,
-                percent: unit2Percent,
-                amount: Math.round(unit2Amount * 100) / 100
-            },
+            billMonths,
+            period,
+            periodDays,
+            perDay: this.perDay(totalConsumption, totalBill, periodDays),
+            tiered,
+            touBands,
+            units: unitResults,
+            commonAreas,
+            lineItems,
+            payers,
             actualRatePerUnit,
             officialRate,
             rateCheck,
             unitLabel,
-            meters: {
-                sub: { prev: subMeterPrev, curr: subMeterCurr }
+            mainMeter,
+            // Kept so a saved calculation can be opened back in the form and corrected
+            inputs
+        };
+    },
+
+    /**
+     * Compare our main meter readings with the bill's consumption.
+     *
+     * A bill based on an estimate (הערכה) bills more or less than was used, and the
+     * utility settles the difference on the next bill read from the meter. The
+     * running difference - everything billed minus everything we measured - is
+     * carried from bill to bill: `carryOut` of one bill is `carryIn` of the next.
+     * When a bill has no readings of ours, the carried difference is settled on it
+     * (unless it is estimated too).
+     * @param {Object} mainMeter - { prev, curr, estimated, useReconciled, carryIn }
+     *                             (prev/curr optional; estimated: the bill says it is an estimate;
+     *                             useReconciled: split by the reconciled consumption)
+     * @param {number} billed - Consumption on the bill
+     * @param {string} [unit] - Consumption unit for the message
+     * @returns {Object|null} { prev, curr, measured, billed, carryIn, reconciled, discrepancy,
+     *                        carryOut, estimated, matches, suspectedEstimate, applied, message },
+     *                        { error } for impossible readings, or null when there is nothing to compare
+     */
+    reconcileMainMeter(mainMeter, billed, unit = '') {
+        const hasReading = (value) => typeof value === 'number' && !isNaN(value);
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const carryIn = mainMeter.carryIn || 0;
+        const estimated = !!mainMeter.estimated;
+        const hasReadings = hasReading(mainMeter.prev) && hasReading(mainMeter.curr);
+
+        if (!(billed > 0) || (!hasReadings && !carryIn && !estimated)) return null;
+
+        let measured = null;
+        let reconciled;
+        let carryOut;
+        if (hasReadings) {
+            measured = this.meterDelta(mainMeter.prev, mainMeter.curr);
+            if (measured === null) {
+                return { error: 'קריאה נוכחית של המונה הראשי קטנה מהקריאה הקודמת' };
             }
+            reconciled = measured;
+            carryOut = round(carryIn + billed - measured);
+        } else if (estimated) {
+            // Nothing to measure this estimate against: the difference waits for an actual reading
+            reconciled = billed;
+            carryOut = carryIn;
+        } else {
+            reconciled = round(billed + carryIn);
+            carryOut = 0;
+        }
+
+        if (reconciled <= 0) {
+            return { error: 'הצריכה המתואמת של המונה הראשי חייבת להיות חיובית' };
+        }
+
+        // What the bill should have shown: our measurement less what earlier bills overbilled
+        const tolerance = Math.max(this.RECONCILE_TOLERANCE.units, reconciled * this.RECONCILE_TOLERANCE.percent / 100);
+        const matches = Math.abs(carryOut) <= tolerance;
+        const discrepancy = round(billed - reconciled);
+        const suspectedEstimate = hasReadings && !estimated && !matches;
+        const applied = !!mainMeter.useReconciled && Math.abs(discrepancy) > 0;
+
+        return {
+            prev: hasReadings ? mainMeter.prev : null,
+            curr: hasReadings ? mainMeter.curr : null,
+            measured,
+            billed,
+            carryIn,
+            reconciled,
+            discrepancy,
+            carryOut: matches && !estimated ? 0 : carryOut,
+            estimated,
+            matches,
+            suspectedEstimate,
+            applied,
+            useReconciled: !!mainMeter.useReconciled,
+            message: this.describeReconciliation({ measured, billed, carryIn, reconciled, carryOut, estimated, matches, suspectedEstimate }, unit)
+        };
+    },
+
+    /**
+     * Explain a main meter reconciliation in one or two lines
+     */
+    describeReconciliation(reconciliation, unit) {
+        const { measured, billed, carryIn, reconciled, carryOut, estimated, matches, suspectedEstimate } = reconciliation;
+        const amount = (value) => unit ? `${value} ${unit}` : String(value);
+        const lines = [];
+
+        if (carryIn !== 0) {
+            lines.push(carryIn > 0
+                ? `↩️ בחשבונות קודמים חויבו ${amount(carryIn)} יותר ממה שנמדד - אמורים להתקזז בחשבון זה`
+                : `↩️ בחשבונות קודמים חויבו ${amount(-carryIn)} פחות ממה שנמדד - אמורים להתווסף בחשבון זה`);
+        }
+
+        if (measured === null) {
+            lines.push(estimated
+                ? '⚠️ החשבון לפי הערכה. הזן קריאות של המונה הראשי כדי לבדוק אותו'
+                : `🔁 הצריכה המתואמת: ${amount(reconciled)} (בחשבון ${amount(billed)})`);
+        } else if (estimated) {
+            lines.push(`⚠️ החשבון לפי הערכה: בחשבון ${amount(billed)}, לפי המונה הראשי ${amount(measured)}. ` +
+                `ההפרש (${amount(carryOut)}) יתקזז בחשבון שיהיה לפי קריאה בפועל`);
+        } else if (matches) {
+            lines.push(`✅ הצריכה בחשבון תואמת את המונה הראשי (${amount(measured)})`);
+        } else if (suspectedEstimate) {
+            lines.push(`⚠️ הצריכה בחשבון (${amount(billed)}) שונה מהצריכה שנמדדה במונה הראשי (${amount(measured)}) ב-${amount(Math.abs(carryOut))}${carryIn !== 0 ? ' אחרי הקיזוז' : ''}. ` +
+                'ייתכן שהחשבון לפי הערכה או שאחת הקריאות שגויה');
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * The same calculation with a different total consumption. Time-of-use bands are
+     * scaled with it so they still add up.
+     */
+    withTotalConsumption(params, totalConsumption) {
+        const scale = totalConsumption / params.totalConsumption;
+        const touBands = params.touBands
+            ? Object.fromEntries(Object.entries(params.touBands).map(([band, value]) => [band, Math.round(value * scale * 1000) / 1000]))
+            : params.touBands;
+        return { ...params, totalConsumption, touBands };
+    },
+
+    /**
+     * Running main meter difference carried into a bill: the carryOut of the latest
+     * saved bill of the same type that ended before this one began
+     * @param {Array} history - Saved calculations
+     * @param {string} billType - 'electricity' or 'water'
+     * @param {Object} period - Period of the bill { start, end }
+     * @returns {number} Units billed but not yet measured (negative: measured but not yet billed)
+     */
+    getMainMeterCarry(history, billType, period) {
+        const previous = Stats.uniqueBills(history)
+            .filter(entry => entry.billType === billType && entry.period && entry.period.end < period.start)
+            .sort((a, b) => b.period.end.localeCompare(a.period.end))[0];
+        return previous?.mainMeter?.carryOut || 0;
+    },
+
+    /**
+     * The inputs a saved calculation was made from, to load it back into the form.
+     * Entries saved before the inputs were recorded are rebuilt from their results.
+     * @param {Object} entry - Saved calculation
+     * @returns {Object} Parameters in the shape calculate() takes
+     */
+    getEntryInputs(entry) {
+        if (entry.inputs) {
+            return JSON.parse(JSON.stringify(entry.inputs));
+        }
+
+        // The consumption part is added by buildLineItems(), it was never entered
+        const lineItems = (entry.lineItems || [])
+            .filter((item, index) => !(index === 0 && item.label === 'צריכה' && item.policy === 'consumption'))
+            .map(({ label, amount, policy, unitId, percents }) => ({ label, amount, policy, unitId, percents }));
+
+        return {
+            billType: entry.billType,
+            totalBill: entry.totalBill,
+            totalConsumption: entry.totalConsumption,
+            billMonths: entry.billMonths,
+            period: entry.period ? { ...entry.period } : null,
+            touBands: entry.touBands ? { ...entry.touBands } : null,
+            lineItems,
+            occupancyChanges: entry.units.filter(unit => unit.occupancyChange).map(unit => ({
+                unitId: unit.id,
+                date: unit.occupancyChange.date,
+                reading: unit.occupancyChange.reading,
+                before: unit.occupants[0].name,
+                after: unit.occupants[1].name
+            })),
+            units: entry.units.map(unit => ({
+                id: unit.id,
+                name: unit.name,
+                remainder: unit.remainder,
+                residents: unit.residents,
+                prev: unit.meter?.prev,
+                curr: unit.meter?.curr,
+                meterDigits: unit.meter?.digits || null,
+                replacement: unit.meter?.replacement || null
+            }))
         };
     },
 
+    /**
+     * What a correction changed in a saved calculation, for its audit trail
+     * @param {Object} before - Saved calculation before the correction
+     * @param {Object} after - Corrected calculation
+     * @returns {Array} Changes: { label, from, to } (display strings)
+     */
+    getRevisionChanges(before, after) {
+        const changes = [];
+        const add = (label, from, to) => {
+            if (String(from) !== String(to)) changes.push({ label, from: String(from), to: String(to) });
+        };
+        const items = (entry) => this.getEntryInputs(entry).lineItems
+            .map(item => `${item.label || 'רכיב בחשבון'} ${this.formatCurrency(item.amount)}`)
+            .join(', ') || '-';
+
+        add('סה"כ חשבונית', this.formatCurrency(before.totalBill), this.formatCurrency(after.totalBill));
+        add('צריכה כוללת', before.totalConsumption, after.totalConsumption);
+        add('תקופת החשבון', before.period ? this.formatPeriod(before.period) : '-', this.formatPeriod(after.period));
+        add('רכיבים בחשבון', items(before), items(after));
+        add('תמונות', Photos.count(before.photos), Photos.count(after.photos));
+        const mainReadings = (entry) => entry.mainMeter?.measured != null ? `${entry.mainMeter.prev} → ${entry.mainMeter.curr}` : '-';
+        add('מונה ראשי', mainReadings(before), mainReadings(after));
+        (after.commonAreas || []).forEach(common => {
+            const old = (before.commonAreas || []).find(c => c.id === common.id);
+            add(`קריאות - ${common.name}`, old ? `${old.meter.prev} → ${old.meter.curr}` : '-', `${common.meter.prev} → ${common.meter.curr}`);
+        });
+
+        after.units.forEach(unit => {
+            const old = before.units.find(u => u.id === unit.id);
+            if (unit.meter) {
+                add(`קריאה קודמת - ${unit.name}`, old?.meter?.prev ?? '-', unit.meter.prev);
+                add(`קריאה נוכחית - ${unit.name}`, old?.meter?.curr ?? '-', unit.meter.curr);
+            }
+            add(`לתשלום - ${unit.name}`, old ? this.formatCurrency(old.amount) : '-', this.formatCurrency(unit.amount));
+        });
+
+        return changes;
+    },
+
+    /**
+     * Number of billed days in a period (start and end dates included)
+     * @param {Object} period - { start, end } as 'YYYY-MM-DD'
+     * @returns {number} Days
+     */
+    getPeriodDays(period) {
+        const start = new Date(`${period.start}T00:00:00Z`);
+        const end = new Date(`${period.end}T00:00:00Z`);
+        return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+    },
+
+    /**
+     * Split the share of units whose tenant changed during the period.
+     * Consumption comes from the intermediate sub meter reading (the remainder unit
+     * has none, so it is pro-rated by days); consumption-based components follow
+     * consumption and every other component is pro-rated by days.
+     * Adds `occupants` ({ name, from, to, days, consumption, amount }) to changed units.
+     */
+    applyOccupancyChanges(unitResults, lineItems, changes, period) {
+        changes.forEach(change => {
+            const unit = unitResults.find(u => u.id === change.unitId);
+            const totalDays = this.getPeriodDays(period);
+            const daysBefore = this.getPeriodDays({ start: period.start, end: change.date }) - 1;
+            const daysAfter = totalDays - daysBefore;
+
+            const consumptionBefore = unit.meter
+                ? this.getMeterConsumption(unit.meter, change.reading, change.date)
+                : unit.consumption * daysBefore / totalDays;
+            const consumption = [consumptionBefore, unit.consumption - consumptionBefore];
+            const days = [daysBefore, daysAfter];
+
+            const amounts = [0, 0];
+            lineItems.forEach(item => {
+                const weights = item.policy === 'consumption' ? consumption : days;
+                const shares = this.splitAmount(item.shares[unit.id], weights);
+                amounts[0] += shares[0];
+                amounts[1] += shares[1];
+            });
+
+            const dayBeforeChange = new Date(new Date(`${change.date}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000)
+                .toISOString().slice(0, 10);
+
+            unit.occupants = [
+                { name: change.before, from: period.start, to: dayBeforeChange },
+                { name: change.after, from: change.date, to: period.end }
+            ].map((occupant, i) => ({
+                ...occupant,
+                days: days[i],
+                consumption: Math.round(consumption[i] * 1000) / 1000,
+                amount: Math.round(amounts[i] * 100) / 100
+            }));
+            unit.occupancyChange = { date: change.date, reading: unit.meter ? change.reading : null };
+        });
+    },
+
+    /**
+     * Everyone who pays a share of the bill: one payer per unit, or one per
+     * occupant for units whose tenant changed during the period
+     */
+    getPayers(unitResults) {
+        return unitResults.flatMap(unit => {
+            if (!unit.occupants) {
+                return [{ unitId: unit.id, unitName: unit.name, name: unit.name, consumption: unit.consumption, amount: unit.amount }];
+            }
+
+            return unit.occupants.map(occupant => ({
+                unitId: unit.id,
+                unitName: unit.name,
+                name: occupant.name,
+                from: occupant.from,
+                to: occupant.to,
+                consumption: occupant.consumption,
+                amount: occupant.amount
+            }));
+        });
+    },
+
+    /**
+     * Normalize consumption and cost to one day of the billing period
+     */
+    perDay(consumption, amount, periodDays) {
+        return {
+            consumption: Math.round(consumption / periodDays * 1000) / 1000,
+            amount: Math.round(amount / periodDays * 100) / 100
+        };
+    },
+
+    /**
+     * Price each unit's water consumption by the low/high tiers.
+     * The low-rate allowance is per unit: residents × threshold × months.
+     * Adds `tiers` ({ allowance, lowConsumption, highConsumption, lowCost, highCost, cost })
+     * to every unit result, with costs at the official rates of the billing period.
+     */
+    applyWaterTiers(unitResults, units, billMonths, rate) {
+        unitResults.forEach((unitResult, i) => {
+            const residents = units[i].residents > 0 ? units[i].residents : 0;
+            const allowance = residents * rate.lowThresholdPerPerson * billMonths;
+            const lowConsumption = Math.min(unitResult.consumption, allowance);
+            const highConsumption = unitResult.consumption - lowConsumption;
+            const lowCost = lowConsumption * rate.lowRate;
+            const highCost = highConsumption * rate.highRate;
+
+            unitResult.residents = residents;
+            unitResult.tiers = {
+                allowance,
+                lowConsumption,
+                highConsumption,
+                lowCost,
+                highCost,
+                cost: lowCost + highCost
+            };
+        });
+    },
+
+    /**
+     * Price each unit's electricity consumption by time-of-use band.
+     * Sub meters with their own band readings use them; the others are assumed to
+     * follow the main meter's band mix, and so do the common areas. The remainder
+     * unit gets main minus subs and common areas per band.
+     * Adds `tou` ({ [band]: { consumption, cost }, cost }) to every unit result,
+     * with costs at the official band prices of the billing period.
+     */
+    applyTouBands(unitResults, units, touBands, totalConsumption, prices, commonConsumption = 0) {
+        const bands = Object.keys(TOU_BANDS);
+        const subTotals = {};
+        bands.forEach(band => { subTotals[band] = commonConsumption * (touBands[band] || 0) / totalConsumption; });
+
+        const unitBands = units.map((unit, i) => {
+            if (unit.remainder) return null;
+
+            const consumption = unitResults[i].consumption;
+            const own = {};
+            bands.forEach(band => {
+                own[band] = unit.touBands
+                    ? unit.touBands[band] || 0
+                    : consumption * (touBands[band] || 0) / totalConsumption;
+                subTotals[band] += own[band];
+            });
+            return own;
+        });
+
+        unitResults.forEach((unitResult, i) => {
+            const own = unitBands[i] || {};
+            if (!unitBands[i]) {
+                bands.forEach(band => { own[band] = Math.max(0, (touBands[band] || 0) - subTotals[band]); });
+            }
+
+            unitResult.tou = { cost: 0 };
+            bands.forEach(band => {
+                const consumption = Math.round(own[band] * 100) / 100;
+                const cost = consumption * prices[band];
+                unitResult.tou[band] = { consumption, cost };
+                unitResult.tou.cost += cost;
+            });
+        });
+    },
+
+    /**
+     * Normalize the bill components and add the consumption part:
+     * the bill total minus all explicit components, split by consumption.
+     * @param {number} totalBill - Total bill amount in ₪
+     * @param {Array} [items] - Explicit components
+     * @returns {Array} Components, the consumption part first
+     */
+    buildLineItems(totalBill, items = []) {
+        const explicit = items.map(item => ({
+            label: item.label || 'רכיב בחשבון',
+            amount: item.amount,
+            policy: item.policy,
+            unitId: item.policy === 'unit' ? item.unitId : undefined,
+            percents: item.policy === 'percent' ? { ...item.percents } : undefined
+        }));
+        const explicitTotal = explicit.reduce((sum, item) => sum + item.amount, 0);
+        const remaining = Math.round((totalBill - explicitTotal) * 100) / 100;
+
+        if (remaining <= 0) {
+            return explicit;
+        }
+
+        return [{ label: 'צריכה', amount: remaining, policy: 'consumption' }, ...explicit];
+    },
+
+    /**
+     * Get the weight of each unit for a bill component's split policy
+     * @param {Object} item - Bill component
+     * @param {Array} units - Units in result order
+     * @param {Array<number>} consumptionWeights - Weight per unit for the 'consumption' policy
+     * @returns {Array<number>} Weight per unit
+     */
+    getPolicyWeights(item, units, consumptionWeights) {
+        switch (item.policy) {
+            case 'equal':
+                return units.map(() => 1);
+            case 'percent':
+                return units.map(unit => item.percents[unit.id] || 0);
+            case 'unit':
+                return units.map(unit => unit.id === item.unitId ? 1 : 0);
+            case 'area':
+                return units.map(unit => unit.area > 0 ? unit.area : 0);
+            case 'residents':
+                return units.map(unit => unit.residents > 0 ? unit.residents : 0);
+            default:
+                return consumptionWeights;
+        }
+    },
+
+    /**
+     * Split an amount by weights, rounded to agorot.
+     * The largest share absorbs the rounding so the shares add up exactly.
+     * @param {number} total - Amount to split in ₪
+     * @param {Array<number>} weights - Non-negative weight per unit
+     * @returns {Array<number>} Amount per unit
+     */
+    splitAmount(total, weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight <= 0) {
+            return weights.map(() => 0);
+        }
+
+        const amounts = weights.map(weight => Math.round(total * weight / totalWeight * 100) / 100);
+        const largest = weights.indexOf(Math.max(...weights));
+        const others = amounts.reduce((sum, amount, i) => i === largest ? sum : sum + amount, 0);
+        amounts[largest] = Math.round((total - others) * 100) / 100;
+
+        return amounts;
+    },
+
+    /**
+     * Sub meter readings of a unit
+     * @param {Object} unit - Unit with prev, curr and optional meterDigits / replacement
+     * @returns {Object} { prev, curr, digits, replacement, rollover }
+     */
+    getMeter(unit) {
+        const digits = unit.meterDigits || null;
+        const replacement = unit.replacement
+            ? { date: unit.replacement.date, oldFinal: unit.replacement.oldFinal, newStart: unit.replacement.newStart }
+            : null;
+        const rollover = replacement
+            ? replacement.oldFinal < unit.prev || unit.curr < replacement.newStart
+            : unit.curr < unit.prev;
+
+        return { prev: unit.prev, curr: unit.curr, digits, replacement, rollover };
+    },
+
+    /**
+     * Consumption of a sub meter from its previous reading up to a reading.
+     * After a replacement the old meter's part (previous → final reading) is added
+     * to the new meter's part (starting → reading).
+     * @param {Object} meter - Meter from getMeter()
+     * @param {number} [reading] - Reading to measure up to, defaults to the current reading
+     * @param {string} [date] - Date of the reading, tells which meter it was read from after a replacement
+     * @returns {number|null} Consumption, or null when the readings can't be explained
+     */
+    getMeterConsumption(meter, reading = meter.curr, date = null) {
+        const { replacement, digits } = meter;
+
+        if (!replacement || (date && date < replacement.date)) {
+            return this.meterDelta(meter.prev, reading, digits);
+        }
+
+        const oldConsumption = this.meterDelta(meter.prev, replacement.oldFinal, digits);
+        const newConsumption = this.meterDelta(replacement.newStart, reading, digits);
+        if (oldConsumption === null || newConsumption === null) return null;
+
+        return Math.round((oldConsumption + newConsumption) * 1000) / 1000;
+    },
+
+    /**
+     * Difference between two readings of the same counter. A lower second reading
+     * means the counter wrapped past its largest value: with a known digit count
+     * that is always the case, otherwise only a reading close to the top followed
+     * by one close to zero is taken as a rollover.
+     * @param {number} from - Earlier reading
+     * @param {number} to - Later reading
+     * @param {number} [digits] - Number of whole digits on the counter
+     * @returns {number|null} Consumption, or null when it isn't a plausible rollover
+     */
+    meterDelta(from, to, digits) {
+        if (to >= from) return Math.round((to - from) * 1000) / 1000;
+
+        const size = Math.pow(10, digits || String(Math.floor(from)).length);
+        if (from >= size) return null;
+        if (!digits && (from < size * 0.9 || to >= size * 0.1)) return null;
+
+        return Math.round((size - from + to) * 1000) / 1000;
+    },
+
     /**
      * Validate input parameters
+     * @param {Object} params - See calculate()
+     * @param {boolean} [reconciled] - The total consumption is the main meter's reconciled one
      */
-    validate(params) {
-        const { totalBill, totalConsumption, subMeterPrev, subMeterCurr } = params;
+    validate(params, reconciled = false) {
+        const { totalBill, totalConsumption, units } = params;
+        const totalLabel = this.CONSUMPTION_TOTAL_LABELS[reconciled ? 'reconciled' : 'billed'];
 
         if (!totalBill || totalBill <= 0) {
             return { valid: false, error: 'יש להזין סכום חשבונית חיובי' };
@@ -91,22 +779,264 @@ const Calculator = {
             return { valid: false, error: 'יש להזין צריכה כוללת מהחשבונית' };
         }
 
-        if (subMeterPrev === undefined || subMeterPrev === null || subMeterPrev === '' || isNaN(subMeterPrev)) {
-            return { valid: false, error: 'יש להזין קריאה קודמת של מונה משני' };
+        if (!Array.isArray(units) || units.length < 2) {
+            return { valid: false, error: 'יש להגדיר לפחות שתי יחידות דיור' };
+        }
+
+        if (!params.period?.start || !params.period?.end) {
+            return { valid: false, error: 'יש להזין את תקופת החשבון (תאריך התחלה וסוף)' };
+        }
+
+        if (params.period.end < params.period.start) {
+            return { valid: false, error: 'תאריך סוף תקופת החשבון חייב להיות אחרי תאריך ההתחלה' };
+        }
+
+        if (units.filter(unit => unit.remainder).length !== 1) {
+            return { valid: false, error: 'יש לבחור יחידה אחת שמשלמת את ההפרש (ללא מונה משני)' };
+        }
+
+        let subTotal = 0;
+
+        for (const unit of units) {
+            if (unit.remainder) continue;
+
+            if (unit.prev === undefined || unit.prev === null || unit.prev === '' || isNaN(unit.prev)) {
+                return { valid: false, error: `יש להזין קריאה קודמת של מונה ${unit.name}` };
+            }
+
+            if (unit.curr === undefined || unit.curr === null || unit.curr === '' || isNaN(unit.curr)) {
+                return { valid: false, error: `יש להזין קריאה נוכחית של מונה ${unit.name}` };
+            }
+
+            if (unit.replacement) {
+                const replacementValidation = this.validateReplacement(unit, params.period);
+                if (!replacementValidation.valid) return replacementValidation;
+            }
+
+            const subConsumption = this.getMeterConsumption(this.getMeter(unit));
+
+            if (subConsumption === null) {
+                return {
+                    valid: false,
+                    error: `קריאה נוכחית של מונה ${unit.name} קטנה מהקריאה הקודמת. ` +
+                        'אם המונה עבר דרך אפס יש להגדיר את מספר הספרות שלו בהגדרות, ואם הוחלף יש לסמן "המונה הוחלף"'
+                };
+            }
+
+            subTotal += subConsumption;
+        }
+
+        if (subTotal > totalConsumption) {
+            return { valid: false, error: `סך צריכת המונים המשניים לא יכול להיות גדול מ${totalLabel}` };
+        }
+
+        const commonValidation = this.validateCommonMeters(params.commonMeters || [], units, totalConsumption - subTotal, totalLabel);
+        if (!commonValidation.valid) return commonValidation;
+
+        if (params.billType === 'electricity' && params.touBands) {
+            const touValidation = this.validateTouBands(params, totalLabel);
+            if (!touValidation.valid) return touValidation;
+        }
+
+        const occupancyValidation = this.validateOccupancyChanges(params.occupancyChanges || [], params.period, units);
+        if (!occupancyValidation.valid) return occupancyValidation;
+
+        return this.validateLineItems(params.lineItems || [], totalBill, units);
+    },
+
+    /**
+     * Validate a meter replacement: a date inside the billing period and both
+     * the old meter's final reading and the new meter's starting reading
+     */
+    validateReplacement(unit, period) {
+        const { date, oldFinal, newStart } = unit.replacement;
+
+        if (!date || date < period.start || date > period.end) {
+            return { valid: false, error: `תאריך החלפת המונה של ${unit.name} חייב להיות בתוך תקופת החשבון` };
+        }
+
+        if (oldFinal === undefined || oldFinal === null || isNaN(oldFinal)) {
+            return { valid: false, error: `יש להזין את הקריאה האחרונה של המונה הישן של ${unit.name}` };
+        }
+
+        if (newStart === undefined || newStart === null || isNaN(newStart)) {
+            return { valid: false, error: `יש להזין את קריאת ההתחלה של המונה החדש של ${unit.name}` };
+        }
+
+        return { valid: true };
+    },
+
+    /**
+     * Validate common-area meters: plausible readings, a split policy the units can be
+     * split by, and no more consumption than the sub meters left over
+     * @param {string} [totalLabel] - The total consumption as named in the error, see CONSUMPTION_TOTAL_LABELS
+     */
+    validateCommonMeters(commonMeters, units, available, totalLabel = this.CONSUMPTION_TOTAL_LABELS.billed) {
+        let commonTotal = 0;
+
+        for (const common of commonMeters) {
+            const name = common.name || 'מונה משותף';
+
+            if ([common.prev, common.curr].some(reading => reading === undefined || reading === null || reading === '' || isNaN(reading))) {
+                return { valid: false, error: `יש להזין קריאה קודמת ונוכחית של ${name}` };
+            }
+
+            const consumption = this.getMeterConsumption(this.getMeter(common));
+            if (consumption === null) {
+                return { valid: false, error: `קריאה נוכחית של ${name} קטנה מהקריאה הקודמת` };
+            }
+            commonTotal += consumption;
+
+            if (!this.COMMON_POLICIES[common.policy]) {
+                return { valid: false, error: `יש לבחור אופן חלוקה עבור ${name}` };
+            }
+
+            if (common.policy === 'area' && !units.some(unit => unit.area > 0)) {
+                return { valid: false, error: `כדי לחלק את ${name} לפי שטח יש להזין את שטח היחידות בהגדרות` };
+            }
+
+            if (common.policy === 'residents' && !units.some(unit => unit.residents > 0)) {
+                return { valid: false, error: `כדי לחלק את ${name} לפי נפשות יש להזין את מספר הנפשות בהגדרות` };
+            }
+
+            if (common.policy === 'percent') {
+                const percentTotal = units.reduce((sum, unit) => sum + (common.percents?.[unit.id] || 0), 0);
+                if (Math.abs(percentTotal - 100) > 0.01) {
+                    return { valid: false, error: `סכום האחוזים עבור ${name} חייב להיות 100%` };
+                }
+            }
+        }
+
+        if (commonTotal > available + 0.0005) {
+            return { valid: false, error: `סך צריכת המונים המשניים והמשותפים לא יכול להיות גדול מ${totalLabel}` };
+        }
+
+        return { valid: true };
+    },
+
+    /**
+     * Validate tenant changes: one per unit, inside the billing period,
+     * with an intermediate reading between the sub meter's readings
+     */
+    validateOccupancyChanges(changes, period, units) {
+        const seen = new Set();
+
+        for (const change of changes) {
+            const unit = units.find(u => u.id === change.unitId);
+            if (!unit) {
+                return { valid: false, error: 'יש לבחור יחידה להחלפת הדייר' };
+            }
+
+            if (seen.has(unit.id)) {
+                return { valid: false, error: `ניתן להזין החלפת דייר אחת בלבד ל${unit.name}` };
+            }
+            seen.add(unit.id);
+
+            if (!change.before || !change.after) {
+                return { valid: false, error: `יש להזין את שמות הדייר היוצא והנכנס ב${unit.name}` };
+            }
+
+            if (!change.date || change.date <= period.start || change.date > period.end) {
+                return { valid: false, error: `תאריך החלפת הדייר ב${unit.name} חייב להיות בתוך תקופת החשבון` };
+            }
+
+            if (!unit.remainder) {
+                if (change.reading === undefined || change.reading === null || isNaN(change.reading)) {
+                    return { valid: false, error: `יש להזין את קריאת המונה של ${unit.name} ביום החלפת הדייר` };
+                }
+
+                const meter = this.getMeter(unit);
+                const consumptionBefore = this.getMeterConsumption(meter, change.reading, change.date);
+                if (consumptionBefore === null || consumptionBefore > this.getMeterConsumption(meter)) {
+                    return { valid: false, error: `קריאת המונה ביום החלפת הדייר ב${unit.name} חייבת להיות בין הקריאה הקודמת לנוכחית` };
+                }
+            }
+        }
+
+        return { valid: true };
+    },
+
+    /**
+     * Validate time-of-use band readings: the bands must add up to the
+     * consumption they break down, and sub meters can't exceed the main bill in any band
+     * @param {string} [totalLabel] - The total consumption as named in the error, see CONSUMPTION_TOTAL_LABELS
+     */
+    validateTouBands(params, totalLabel = this.CONSUMPTION_TOTAL_LABELS.billed) {
+        const { touBands, totalConsumption, units } = params;
+        const bands = Object.keys(TOU_BANDS);
+        const sum = (values) => bands.reduce((total, band) => total + (values[band] || 0), 0);
+        const tolerance = 0.5;
+
+        if (bands.some(band => isNaN(touBands[band]) || touBands[band] < 0)) {
+            return { valid: false, error: 'יש להזין צריכה בשעות שיא ושפל מהחשבונית' };
+        }
+
+        if (Math.abs(sum(touBands) - totalConsumption) > tolerance) {
+            return { valid: false, error: 'סכום הצריכה בשעות שיא ושפל חייב להיות שווה לצריכה הכוללת בחשבונית' };
+        }
+
+        // Common areas follow the main meter's band mix
+        const commonTotal = (params.commonMeters || [])
+            .reduce((total, common) => total + (this.getMeterConsumption(this.getMeter(common)) || 0), 0);
+        const subBands = {};
+        bands.forEach(band => { subBands[band] = commonTotal * touBands[band] / totalConsumption; });
+
+        for (const unit of units) {
+            if (unit.remainder) continue;
+
+            const consumption = this.getMeterConsumption(this.getMeter(unit));
+            const own = unit.touBands;
+            if (own && Math.abs(sum(own) - consumption) > tolerance) {
+                return { valid: false, error: `סכום שעות שיא ושפל של ${unit.name} חייב להיות שווה לצריכת המונה` };
+            }
+
+            bands.forEach(band => {
+                subBands[band] += own ? own[band] || 0 : consumption * touBands[band] / totalConsumption;
+            });
         }
 
-        if (subMeterCurr === undefined || subMeterCurr === null || subMeterCurr === '' || isNaN(subMeterCurr)) {
-            return { valid: false, error: 'יש להזין קריאה נוכחית של מונה משני' };
+        for (const band of bands) {
+            if (subBands[band] > touBands[band] + tolerance) {
+                return { valid: false, error: `צריכת המונים המשניים ב${TOU_BANDS[band]} גדולה מ${totalLabel} ב${TOU_BANDS[band]}` };
+            }
         }
 
-        const subConsumption = subMeterCurr - subMeterPrev;
+        return { valid: true };
+    },
+
+    /**
+     * Validate bill components against the bill total and the units
+     */
+    validateLineItems(items, totalBill, units) {
+        let itemsTotal = 0;
+
+        for (const item of items) {
+            const label = item.label || 'רכיב בחשבון';
+
+            if (!item.amount || isNaN(item.amount) || item.amount <= 0) {
+                return { valid: false, error: `יש להזין סכום חיובי עבור "${label}"` };
+            }
+
+            if (!this.SPLIT_POLICIES[item.policy]) {
+                return { valid: false, error: `יש לבחור אופן חלוקה עבור "${label}"` };
+            }
 
-        if (subConsumption < 0) {
-            return { valid: false, error: 'קריאה נוכחית של מונה משני חייבת להיות גדולה או שווה לקריאה הקודמת' };
+            if (item.policy === 'unit' && !units.some(unit => unit.id === item.unitId)) {
+                return { valid: false, error: `יש לבחור יחידה עבור "${label}"` };
+            }
+
+            if (item.policy === 'percent') {
+                const percentTotal = units.reduce((sum, unit) => sum + (item.percents?.[unit.id] || 0), 0);
+                if (Math.abs(percentTotal - 100) > 0.01) {
+                    return { valid: false, error: `סכום האחוזים עבור "${label}" חייב להיות 100%` };
+                }
+            }
+
+            itemsTotal += item.amount;
         }
 
-        if (subConsumption > totalConsumption) {
-            return { valid: false, error: 'צריכת המונה המשני לא יכולה להיות גדולה מהצריכה הכוללת בחשבונית' };
+        if (itemsTotal > totalBill + 0.005) {
+            return { valid: false, error: 'סכום רכיבי החשבון גדול מסכום החשבונית' };
         }
 
         return { valid: true };
@@ -119,6 +1049,20 @@ const Calculator = {
         return `₪${amount.toFixed(2)}`;
     },
 
+    /**
+     * Format a 'YYYY-MM-DD' date for display, e.g. "1.1.2024"
+     */
+    formatDate(isoDate) {
+        return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('he-IL', { timeZone: 'UTC' });
+    },
+
+    /**
+     * Format a billing period for display, e.g. "1.1.2024 – 29.2.2024"
+     */
+    formatPeriod(period) {
+        return `${this.formatDate(period.start)} – ${this.formatDate(period.end)}`;
+    },
+
     /**
      * Format percentage
      */
@@ -127,29 +1071,119 @@ const Calculator = {
     },
 
     /**
-     * Generate WhatsApp message from results
+     * Generate WhatsApp message from results, or from a month's settlement (see Settlement.build())
      */
     generateWhatsAppMessage(result) {
+        if (result.type === 'settlement') {
+            return this.generateSettlementMessage(result);
+        }
+
         const typeName = RATES[result.billType].name;
         const icon = RATES[result.billType].icon;
         const date = new Date().toLocaleDateString('he-IL');
+        const lineItems = result.lineItems || [];
+        const commonAreas = result.commonAreas || [];
 
         let msg = `${icon} *חלוקת חשבון ${typeName}*\n`;
         msg += `📅 תאריך: ${date}\n`;
+        if (result.period) {
+            msg += `🗓️ תקופת החשבון: ${this.formatPeriod(result.period)} (${result.periodDays} ימים)\n`;
+        }
         msg += `━━━━━━━━━━━━━\n`;
         msg += `💰 סה"כ חשבונית: ${this.formatCurrency(result.totalBill)}\n`;
         msg += `📊 צריכה כוללת: ${result.totalConsumption} ${result.unitLabel}\n`;
+        if (result.mainMeter?.applied) {
+            msg += `   📟 לפי המונה הראשי (בחשבון ${result.mainMeter.billed} ${result.unitLabel})\n`;
+        }
+        if (result.mainMeter?.estimated) {
+            msg += `   ⚠️ החשבון לפי הערכה\n`;
+        }
+        if (lineItems.length > 1) {
+            lineItems.forEach(item => {
+                msg += `   • ${item.label} (${this.SPLIT_POLICIES[item.policy]}): ${this.formatCurrency(item.amount)}\n`;
+            });
+        }
+        commonAreas.forEach(common => {
+            msg += `🏢 ${common.name}: ${common.consumption} ${result.unitLabel} · ${this.formatCurrency(common.amount)} (${this.COMMON_POLICIES[common.policy]})\n`;
+        });
         msg += `━━━━━━━━━━━━━\n`;
-        msg += `🏠 *יחידה 1:*\n`;
-        msg += `   צריכה: ${result.unit1.consumption} ${result.unitLabel} (${this.formatPercent(result.unit1.percent)})\n`;
-        msg += `   לתשלום: *${this.formatCurrency(result.unit1.amount)}*\n`;
-        msg += `\n`;
-        msg += `🏠 *יחידה 2:*\n`;
-        msg += `   צריכה: ${result.unit2.consumption} ${result.unitLabel} (${this.formatPercent(result.unit2.percent)})\n`;
-        msg += `   לתשלום: *${this.formatCurrency(result.unit2.amount)}*\n`;
+        msg += result.units.map(unit => {
+            let unitMsg = `🏠 *${unit.name}:*\n`;
+            unitMsg += `   צריכה: ${unit.consumption} ${result.unitLabel}\n`;
+            if (unit.meter?.replacement) {
+                unitMsg += `   🔄 המונה הוחלף ב-${this.formatDate(unit.meter.replacement.date)}\n`;
+            } else if (unit.meter?.rollover) {
+                unitMsg += `   🔃 המונה עבר דרך אפס\n`;
+            }
+            if (unit.tou) {
+                Object.keys(TOU_BANDS).forEach(band => {
+                    unitMsg += `   ${TOU_BANDS[band]}: ${unit.tou[band].consumption} ${result.unitLabel} (${this.formatCurrency(unit.tou[band].cost)})\n`;
+                });
+            }
+            if (unit.tiers) {
+                unitMsg += `   מדרגה נמוכה: ${unit.tiers.lowConsumption} ${result.unitLabel} (${this.formatCurrency(unit.tiers.lowCost)})\n`;
+                unitMsg += `   מדרגה גבוהה: ${unit.tiers.highConsumption} ${result.unitLabel} (${this.formatCurrency(unit.tiers.highCost)})\n`;
+            }
+            if (lineItems.length > 1) {
+                lineItems.filter(item => item.shares[unit.id] > 0).forEach(item => {
+                    unitMsg += `   • ${item.label}: ${this.formatCurrency(item.shares[unit.id])}\n`;
+                });
+            }
+            commonAreas.filter(common => common.shares[unit.id] > 0).forEach(common => {
+                unitMsg += `   🏢 מתוכם ${common.name}: ${this.formatCurrency(common.shares[unit.id])}\n`;
+            });
+            unitMsg += `   לתשלום: *${this.formatCurrency(unit.amount)}* (${this.formatPercent(unit.percent)})\n`;
+            if (unit.perDay) {
+                unitMsg += `   ליום: ${unit.perDay.consumption} ${result.unitLabel} · ${this.formatCurrency(unit.perDay.amount)}\n`;
+            }
+            if (unit.occupants) {
+                unit.occupants.forEach(occupant => {
+                    unitMsg += `   👤 *${occupant.name}* (${this.formatPeriod({ start: occupant.from, end: occupant.to })}, ${occupant.days} ימים):\n`;
+                    unitMsg += `      צריכה: ${occupant.consumption} ${result.unitLabel} · לתשלום: *${this.formatCurrency(occupant.amount)}*\n`;
+                });
+            }
+            return unitMsg;
+        }).join('\n');
         msg += `━━━━━━━━━━━━━\n`;
         msg += `תעריף בפועל: ${this.formatCurrency(result.actualRatePerUnit)}/${result.unitLabel}`;
+        (result.anomalies || []).forEach(anomaly => {
+            msg += `\n${anomaly.message}`;
+        });
 
         return msg;
+    },
+
+    /**
+     * One message for all the bills of a month: each unit's bills and the total it pays
+     * @param {Object} settlement - Result of Settlement.build()
+     * @returns {string} Message text
+     */
+    generateSettlementMessage(settlement) {
+        const billLabel = (entry) => {
+            const rates = RATES[entry.billType];
+            return `${rates.icon} ${rates.name}${entry.period ? ` ${this.formatPeriod(entry.period)}` : ''}`;
+        };
+
+        let msg = `🧾 *התחשבנות ${Stats.formatMonth(settlement.month)}*\n`;
+        msg += `📅 תאריך: ${new Date().toLocaleDateString('he-IL')}\n`;
+        msg += `━━━━━━━━━━━━━\n`;
+        settlement.bills.forEach(entry => {
+            msg += `${billLabel(entry)}: ${this.formatCurrency(entry.totalBill)}\n`;
+        });
+        msg += `💰 סה"כ חשבונות: ${this.formatCurrency(settlement.total)}\n`;
+        msg += `━━━━━━━━━━━━━\n`;
+        msg += settlement.units.map(unit => {
+            let unitMsg = `🏠 *${unit.name}:*\n`;
+            unit.lines.forEach(line => {
+                unitMsg += `   ${billLabel(line.entry)}: ${this.formatCurrency(line.amount)}\n`;
+            });
+            if (unit.paid > 0) {
+                unitMsg += `   שולם: ${this.formatCurrency(unit.paid)}\n`;
+            }
+            unitMsg += `   לתשלום: *${this.formatCurrency(unit.due)}*\n`;
+            return unitMsg;
+        }).join('\n');
+
+        return msg.trimEnd();
     }
 };
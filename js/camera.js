@@ -0,0 +1,137 @@
+/**
+ * Camera module - live meter reading from the device camera
+ *
+ * The rear camera is shown with a frame to line the meter digits up in. Frames
+ * are read one after another with OCR.processImage(), cropped to that frame, and
+ * a reading is locked in once it is seen on REQUIRED_MATCHES frames in a row.
+ */
+
+const Camera = {
+    // The viewfinder frame the digits are aligned in, as fractions of the video
+    FRAME: { x: 0.1, y: 0.38, width: 0.8, height: 0.24 },
+    // The same reading on this many frames in a row locks it in
+    REQUIRED_MATCHES: 3,
+    // Confidence given to a locked reading: seeing it repeatedly is as good as one confident read
+    LOCKED_CONFIDENCE: 90,
+    // Pause between frames (ms), so the page stays responsive
+    SCAN_INTERVAL: 300,
+    QUALITY: 0.9,
+
+    stream: null,
+
+    /**
+     * Whether the browser can show the camera in the page
+     */
+    isSupported() {
+        return !!navigator.mediaDevices?.getUserMedia;
+    },
+
+    /**
+     * Start the rear camera in a video element
+     * @param {HTMLVideoElement} video - Element to show the camera in
+     * @returns {Promise<void>}
+     */
+    async start(video) {
+        this.stop(video);
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: false,
+                video: {
+                    facingMode: { ideal: 'environment' },
+                    width: { ideal: 1920 },
+                    height: { ideal: 1080 }
+                }
+            });
+        } catch (error) {
+            console.error('Camera Error:', error);
+            throw new Error(error.name === 'NotAllowedError'
+                ? 'אין הרשאה למצלמה - אפשר אותה בהגדרות הדפדפן'
+                : 'לא ניתן להפעיל את המצלמה');
+        }
+
+        video.srcObject = this.stream;
+        await video.play();
+    },
+
+    /**
+     * Stop the camera
+     * @param {HTMLVideoElement} [video] - Element the camera is shown in
+     */
+    stop(video) {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (video) video.srcObject = null;
+    },
+
+    getTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] : null;
+    },
+
+    /**
+     * Whether the camera has a torch that can be turned on (mostly Android Chrome)
+     */
+    supportsTorch() {
+        const track = this.getTrack();
+        return !!track?.getCapabilities?.().torch;
+    },
+
+    /**
+     * Turn the torch on or off
+     * @param {boolean} on
+     * @returns {Promise<boolean>} Whether it worked
+     */
+    async setTorch(on) {
+        try {
+            await this.getTrack().applyConstraints({ advanced: [{ torch: on }] });
+            return true;
+        } catch (error) {
+            console.error('Torch Error:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Current video frame as a JPEG
+     * @param {HTMLVideoElement} video - Playing video
+     * @returns {Promise<Blob>} Full frame; read it with crop: FRAME
+     */
+    grabFrame(video) {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not capture frame')), 'image/jpeg', this.QUALITY);
+        });
+    },
+
+    /**
+     * Count how many frames in a row showed the same reading
+     * @param {Object|null} streak - Previous { value, count }
+     * @param {number|null} value - Reading of this frame, null when none was found
+     * @returns {Object|null} New { value, count }
+     */
+    nextStreak(streak, value) {
+        if (value === null || value === undefined) return null;
+        return streak && streak.value === value
+            ? { value, count: streak.count + 1 }
+            : { value, count: 1 };
+    },
+
+    /**
+     * Mark a locked reading as confident in a processImage() result
+     * @param {Object} result - Result of the frame the reading was locked on
+     * @param {number} value - Locked reading
+     * @returns {Object} Result with the locked candidate's confidence raised
+     */
+    confirm(result, value) {
+        return {
+            ...result,
+            candidates: result.candidates.map(candidate => candidate.value === value
+                ? { ...candidate, confidence: Math.max(candidate.confidence ?? 0, this.LOCKED_CONFIDENCE) }
+                : candidate)
+        };
+    }
+};
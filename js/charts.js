@@ -0,0 +1,174 @@
+/**
+ * Charts module - small line and bar charts drawn on a canvas, no chart library needed
+ *
+ * A chart is { labels, series: [{ label, color, values }], format? } where values
+ * line up with labels and a null value is a gap (no data for that label).
+ */
+
+const Charts = {
+    COLORS: ['#2ed573', '#00b4d8', '#f7971e', '#a29bfe', '#ff6b81', '#ffd200'],
+    TYPE_COLORS: { electricity: '#f7971e', water: '#00b4d8' },
+    HEIGHT: 200,
+    PADDING: { top: 12, right: 12, bottom: 28, left: 48 },
+    FONT: "11px 'Heebo', sans-serif",
+
+    /**
+     * Size the canvas to its displayed width (sharp on high-DPI screens)
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Object|null} { ctx, width, height }, or null when the canvas can't be drawn on
+     */
+    prepare(canvas) {
+        const ctx = canvas.getContext && canvas.getContext('2d');
+        const width = canvas.clientWidth;
+        if (!ctx || !width) return null;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = width * ratio;
+        canvas.height = this.HEIGHT * ratio;
+        canvas.style.height = `${this.HEIGHT}px`;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, this.HEIGHT);
+        ctx.font = this.FONT;
+
+        return { ctx, width, height: this.HEIGHT };
+    },
+
+    /**
+     * Round a maximum up to a readable axis top (1, 2, 2.5 or 5 times a power of ten)
+     */
+    niceMax(max) {
+        if (max <= 0) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(max)));
+        const step = [1, 2, 2.5, 5, 10].find(s => s * power >= max);
+        return step * power;
+    },
+
+    /**
+     * Draw the value grid and the labels, and return the plot area
+     */
+    drawAxes(chart, data, max) {
+        const { ctx, width, height } = chart;
+        const pad = this.PADDING;
+        const area = {
+            left: pad.left,
+            top: pad.top,
+            width: width - pad.left - pad.right,
+            height: height - pad.top - pad.bottom
+        };
+        const format = data.format || (value => String(value));
+        const ticks = 4;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillStyle = '#a0a0c0';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        for (let i = 0; i <= ticks; i++) {
+            const value = max * i / ticks;
+            const y = area.top + area.height - area.height * i / ticks;
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.left + area.width, y);
+            ctx.stroke();
+            ctx.fillText(format(Math.round(value * 100) / 100), area.left - 6, y);
+        }
+
+        // Skip labels that would overlap
+        const slot = area.width / data.labels.length;
+        const every = Math.max(1, Math.ceil(48 / slot));
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        data.labels.forEach((label, i) => {
+            if (i % every !== 0) return;
+            ctx.fillText(label, area.left + slot * (i + 0.5), area.top + area.height + 8);
+        });
+
+        return area;
+    },
+
+    /**
+     * Largest value across all series
+     */
+    getMax(series) {
+        return Math.max(0, ...series.flatMap(s => s.values.filter(value => value !== null)));
+    },
+
+    /**
+     * Draw a line chart, one line per series
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} data - { labels, series: [{ label, color, values }], format? }
+     */
+    drawLine(canvas, data) {
+        const chart = this.prepare(canvas);
+        if (!chart) return;
+
+        const { ctx } = chart;
+        const max = this.niceMax(this.getMax(data.series));
+        const area = this.drawAxes(chart, data, max);
+        const slot = area.width / data.labels.length;
+        const point = (value, i) => ({
+            x: area.left + slot * (i + 0.5),
+            y: area.top + area.height - area.height * value / max
+        });
+
+        data.series.forEach(series => {
+            ctx.strokeStyle = series.color;
+            ctx.fillStyle = series.color;
+            ctx.lineWidth = 2;
+
+            // A null value breaks the line
+            ctx.beginPath();
+            let drawing = false;
+            series.values.forEach((value, i) => {
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                const { x, y } = point(value, i);
+                if (drawing) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+
+            series.values.forEach((value, i) => {
+                if (value === null) return;
+                const { x, y } = point(value, i);
+                ctx.beginPath();
+                ctx.arc(x, y, 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+    },
+
+    /**
+     * Draw a grouped bar chart, one bar per series in every label's slot
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} data - { labels, series: [{ label, color, values }], format? }
+     */
+    drawBars(canvas, data) {
+        const chart = this.prepare(canvas);
+        if (!chart) return;
+
+        const { ctx } = chart;
+        const max = this.niceMax(this.getMax(data.series));
+        const area = this.drawAxes(chart, data, max);
+        const slot = area.width / data.labels.length;
+        const groupWidth = slot * 0.7;
+        const barWidth = groupWidth / data.series.length;
+
+        data.series.forEach((series, s) => {
+            ctx.fillStyle = series.color;
+            series.values.forEach((value, i) => {
+                if (!value) return;
+                const barHeight = area.height * value / max;
+                const x = area.left + slot * i + (slot - groupWidth) / 2 + barWidth * s;
+                ctx.fillRect(x, area.top + area.height - barHeight, Math.max(1, barWidth - 1), barHeight);
+            });
+        });
+    }
+};
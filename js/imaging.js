@@ -0,0 +1,466 @@
+/**
+ * Imaging module - prepares meter photos for digit recognition, entirely on a canvas
+ *
+ * The photo is cropped to the region the user marked, scaled to a workable size,
+ * straightened (deskew), turned to grayscale with stretched contrast and then to
+ * a black-on-white mask with an automatic (Otsu) threshold. Whichever of dark
+ * and light is the minority is taken as the ink, so white digits on a black
+ * odometer wheel work as well as dark LCD digits.
+ *
+ * Seven-segment digits are decoded directly from the mask by checking which
+ * segments are lit. Odometer-style water meters are split where the red decimal
+ * wheels start, so the integer and decimal digits are read separately.
+ *
+ * A mask is { data: Uint8Array (1 = ink), width, height }.
+ */
+
+const Imaging = {
+    // Working width of the cropped photo: big enough for small digits, small enough to stay fast
+    MIN_WIDTH: 600,
+    MAX_WIDTH: 1400,
+    MAX_SKEW: 15,
+
+    // Lit segments (in 'abcdefg' order) of each seven-segment digit; some digits are drawn two ways
+    SEGMENT_DIGITS: {
+        '1111110': '0',
+        '0110000': '1',
+        '1101101': '2',
+        '1111001': '3',
+        '0110011': '4',
+        '1011011': '5',
+        '1011111': '6',
+        '0011111': '6',
+        '1110000': '7',
+        '1110010': '7',
+        '1111111': '8',
+        '1111011': '9',
+        '1110011': '9'
+    },
+
+    // Sample area of each segment, as fractions of the digit box: [x0, x1, y0, y1]
+    SEGMENT_AREAS: {
+        a: [0.3, 0.7, 0, 0.15],
+        b: [0.72, 1, 0.15, 0.42],
+        c: [0.72, 1, 0.58, 0.85],
+        d: [0.3, 0.7, 0.85, 1],
+        e: [0, 0.28, 0.58, 0.85],
+        f: [0, 0.28, 0.15, 0.42],
+        g: [0.3, 0.7, 0.42, 0.58]
+    },
+
+    /**
+     * Prepare a meter photo for recognition
+     * @param {Blob} file - Photo
+     * @param {Object} [options] - { crop: { x, y, width, height } as fractions of the photo,
+     *                             mode: 'standard' | 'sevenSegment' | 'odometer' }
+     * @returns {Promise<Object>} { parts: [{ name: 'all' | 'integer' | 'decimal', mask, canvas }] }
+     */
+    async prepare(file, options = {}) {
+        const url = URL.createObjectURL(file);
+        let image;
+        try {
+            image = await Photos.loadImage(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        let canvas = this.crop(image, options.crop);
+        const angle = this.estimateSkew(this.binarize(this.stretch(this.grayscale(canvas))));
+        if (Math.abs(angle) >= 0.5) {
+            canvas = this.rotate(canvas, -angle);
+        }
+
+        const split = options.mode === 'odometer' ? this.findRedSplit(canvas) : null;
+        const regions = split
+            ? [{ name: 'integer', x: 0, width: split }, { name: 'decimal', x: split, width: canvas.width - split }]
+            : [{ name: 'all', x: 0, width: canvas.width }];
+
+        const parts = regions.map(region => {
+            const part = this.crop(canvas, {
+                x: region.x / canvas.width,
+                y: 0,
+                width: region.width / canvas.width,
+                height: 1
+            }, false);
+            let mask = this.binarize(this.stretch(this.grayscale(part)));
+            if (options.mode === 'sevenSegment') {
+                // Join the segments of each digit so it reads as one shape
+                mask = this.close(mask, Math.max(1, Math.round(mask.height / 80)));
+            }
+            return { name: region.name, mask, canvas: this.toCanvas(mask) };
+        });
+
+        return { parts };
+    },
+
+    /**
+     * Crop an image and scale it to the working width
+     * @param {CanvasImageSource} image - Image or canvas
+     * @param {Object} [region] - { x, y, width, height } as fractions, the whole image by default
+     * @param {boolean} [scale] - Scale to the working width
+     * @returns {HTMLCanvasElement}
+     */
+    crop(image, region = null, scale = true) {
+        const fullWidth = image.naturalWidth || image.width;
+        const fullHeight = image.naturalHeight || image.height;
+        const area = region || { x: 0, y: 0, width: 1, height: 1 };
+        const sx = Math.round(area.x * fullWidth);
+        const sy = Math.round(area.y * fullHeight);
+        const sw = Math.max(1, Math.round(area.width * fullWidth));
+        const sh = Math.max(1, Math.round(area.height * fullHeight));
+
+        const factor = scale ? Math.min(this.MAX_WIDTH, Math.max(this.MIN_WIDTH, sw)) / sw : 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(sw * factor));
+        canvas.height = Math.max(1, Math.round(sh * factor));
+        canvas.getContext('2d').drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    },
+
+    /**
+     * Rotate a canvas around its center
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} degrees - Clockwise
+     * @returns {HTMLCanvasElement}
+     */
+    rotate(canvas, degrees) {
+        const rotated = document.createElement('canvas');
+        rotated.width = canvas.width;
+        rotated.height = canvas.height;
+        const ctx = rotated.getContext('2d');
+
+        // Fill the uncovered corners with the photo's average color so they don't read as ink
+        const average = document.createElement('canvas');
+        average.width = 1;
+        average.height = 1;
+        const averageCtx = average.getContext('2d');
+        averageCtx.drawImage(canvas, 0, 0, 1, 1);
+        const [r, g, b] = averageCtx.getImageData(0, 0, 1, 1).data;
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillRect(0, 0, rotated.width, rotated.height);
+        ctx.translate(rotated.width / 2, rotated.height / 2);
+        ctx.rotate(degrees * Math.PI / 180);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        return rotated;
+    },
+
+    /**
+     * Grayscale pixels of a canvas
+     * @returns {Object} { data: Uint8ClampedArray, width, height }
+     */
+    grayscale(canvas) {
+        const { width, height } = canvas;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const data = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        }
+        return { data, width, height };
+    },
+
+    /**
+     * Stretch contrast so the 2nd to 98th percentile covers the full range
+     * @param {Object} gray - { data, width, height }
+     * @returns {Object} Same shape
+     */
+    stretch(gray) {
+        const histogram = this.histogram(gray.data);
+        const total = gray.data.length;
+        let low = 0;
+        let high = 255;
+        for (let sum = 0; low < 255 && (sum += histogram[low]) < total * 0.02; low++);
+        for (let sum = 0; high > 0 && (sum += histogram[high]) < total * 0.02; high--);
+        if (high <= low) return gray;
+
+        const data = gray.data.map(value => (value - low) * 255 / (high - low));
+        return { ...gray, data };
+    },
+
+    histogram(data) {
+        const histogram = new Array(256).fill(0);
+        data.forEach(value => { histogram[value]++; });
+        return histogram;
+    },
+
+    /**
+     * Otsu threshold: the gray level that best separates dark from light
+     * @param {Uint8ClampedArray} data - Gray values
+     * @returns {number} Threshold
+     */
+    otsu(data) {
+        const histogram = this.histogram(data);
+        const total = data.length;
+        const sumAll = histogram.reduce((sum, count, value) => sum + count * value, 0);
+        let sumDark = 0;
+        let countDark = 0;
+        let best = 0;
+        let threshold = 127;
+
+        for (let value = 0; value < 256; value++) {
+            countDark += histogram[value];
+            if (countDark === 0) continue;
+            const countLight = total - countDark;
+            if (countLight === 0) break;
+
+            sumDark += value * histogram[value];
+            const meanDark = sumDark / countDark;
+            const meanLight = (sumAll - sumDark) / countLight;
+            const between = countDark * countLight * (meanDark - meanLight) ** 2;
+            if (between > best) {
+                best = between;
+                threshold = value;
+            }
+        }
+
+        return threshold;
+    },
+
+    /**
+     * Black-and-white mask; the minority side of the threshold is the ink
+     * @param {Object} gray - { data, width, height }
+     * @returns {Object} Mask
+     */
+    binarize(gray) {
+        const threshold = this.otsu(gray.data);
+        const dark = gray.data.reduce((count, value) => count + (value <= threshold ? 1 : 0), 0);
+        const darkInk = dark <= gray.data.length / 2;
+        const data = new Uint8Array(gray.data.length);
+        gray.data.forEach((value, i) => {
+            data[i] = (value <= threshold) === darkInk ? 1 : 0;
+        });
+        return { data, width: gray.width, height: gray.height };
+    },
+
+    /**
+     * Skew of the text lines: the angle at which the ink's row profile is sharpest
+     * @param {Object} mask
+     * @returns {number} Degrees, clockwise
+     */
+    estimateSkew(mask) {
+        const points = [];
+        const step = Math.max(1, Math.floor(Math.sqrt(mask.data.reduce((sum, ink) => sum + ink, 0) / 20000)));
+        for (let y = 0; y < mask.height; y += step) {
+            for (let x = 0; x < mask.width; x += step) {
+                if (mask.data[y * mask.width + x]) points.push([x, y]);
+            }
+        }
+        if (points.length < 50) return 0;
+
+        let bestAngle = 0;
+        let bestScore = -1;
+        for (let angle = -this.MAX_SKEW; angle <= this.MAX_SKEW; angle++) {
+            const slope = Math.tan(angle * Math.PI / 180);
+            const rows = new Map();
+            points.forEach(([x, y]) => {
+                const row = Math.round(y - x * slope);
+                rows.set(row, (rows.get(row) || 0) + 1);
+            });
+            let score = 0;
+            rows.forEach(count => { score += count * count; });
+            if (score > bestScore) {
+                bestScore = score;
+                bestAngle = angle;
+            }
+        }
+
+        return bestAngle;
+    },
+
+    /**
+     * Morphological closing (dilate, then erode) with a square of the given radius
+     * @param {Object} mask
+     * @param {number} radius - Pixels
+     * @returns {Object} Mask
+     */
+    close(mask, radius) {
+        return this.morph(this.morph(mask, radius, true), radius, false);
+    },
+
+    morph(mask, radius, dilate) {
+        const { width, height } = mask;
+        const pass = (source, horizontal) => {
+            const out = new Uint8Array(source.length);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let hit = !dilate;
+                    for (let d = -radius; d <= radius; d++) {
+                        const nx = horizontal ? x + d : x;
+                        const ny = horizontal ? y : y + d;
+                        const ink = nx >= 0 && nx < width && ny >= 0 && ny < height ? source[ny * width + nx] : 0;
+                        if (dilate ? ink : !ink) {
+                            hit = dilate;
+                            break;
+                        }
+                    }
+                    out[y * width + x] = hit ? 1 : 0;
+                }
+            }
+            return out;
+        };
+        return { data: pass(pass(mask.data, true), false), width, height };
+    },
+
+    /**
+     * Draw a mask as black ink on white, the way text recognition expects it
+     * @returns {HTMLCanvasElement}
+     */
+    toCanvas(mask) {
+        const canvas = document.createElement('canvas');
+        canvas.width = mask.width;
+        canvas.height = mask.height;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(mask.width, mask.height);
+        mask.data.forEach((ink, i) => {
+            const value = ink ? 0 : 255;
+            image.data[i * 4] = value;
+            image.data[i * 4 + 1] = value;
+            image.data[i * 4 + 2] = value;
+            image.data[i * 4 + 3] = 255;
+        });
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    },
+
+    /**
+     * Where the red decimal wheels of an odometer meter start
+     * @param {HTMLCanvasElement} canvas - Color photo
+     * @returns {number|null} X of the first red column, or null when there is no red block on the right half
+     */
+    findRedSplit(canvas) {
+        const { width, height } = canvas;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const columns = new Array(width).fill(0);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+                if (r > 90 && r > g * 1.6 && r > b * 1.6) columns[x]++;
+            }
+        }
+
+        // Longest run of columns that are clearly red
+        const isRed = columns.map(count => count > height * 0.1);
+        let best = null;
+        for (let x = 0; x < width; x++) {
+            if (!isRed[x]) continue;
+            let end = x;
+            while (end + 1 < width && isRed[end + 1]) end++;
+            if (!best || end - x > best.end - best.start) best = { start: x, end };
+            x = end;
+        }
+
+        if (!best || best.end - best.start < width * 0.08 || best.end < width / 2) return null;
+        return best.start > width * 0.2 ? best.start : null;
+    },
+
+    /**
+     * Bounding boxes of the characters on the main text line of a mask, left to right
+     * @param {Object} mask
+     * @returns {Object} { top, bottom, boxes: [{ x0, x1, y0, y1 }] }
+     */
+    findCharacters(mask) {
+        const { data, width, height } = mask;
+        const rowInk = new Array(height).fill(0);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) rowInk[y] += data[y * width + x];
+        }
+
+        // The text line is the tallest run of rows with ink
+        let top = 0;
+        let bottom = -1;
+        for (let y = 0; y < height; y++) {
+            if (rowInk[y] < width * 0.01) continue;
+            let end = y;
+            while (end + 1 < height && rowInk[end + 1] >= width * 0.01) end++;
+            if (end - y > bottom - top) {
+                top = y;
+                bottom = end;
+            }
+            y = end;
+        }
+        if (bottom < top) return { top: 0, bottom: 0, boxes: [] };
+
+        const columnInk = new Array(width).fill(0);
+        for (let y = top; y <= bottom; y++) {
+            for (let x = 0; x < width; x++) columnInk[x] += data[y * width + x];
+        }
+
+        const boxes = [];
+        for (let x = 0; x < width; x++) {
+            if (!columnInk[x]) continue;
+            let end = x;
+            while (end + 1 < width && columnInk[end + 1]) end++;
+
+            let y0 = bottom;
+            let y1 = top;
+            for (let y = top; y <= bottom; y++) {
+                for (let cx = x; cx <= end; cx++) {
+                    if (data[y * width + cx]) {
+                        y0 = Math.min(y0, y);
+                        y1 = Math.max(y1, y);
+                        break;
+                    }
+                }
+            }
+            boxes.push({ x0: x, x1: end, y0, y1 });
+            x = end;
+        }
+
+        return { top, bottom, boxes };
+    },
+
+    /**
+     * Read seven-segment (LCD) digits by checking which segments are lit
+     * @param {Object} mask - From prepare() in 'sevenSegment' mode
+     * @returns {string|null} Digits (with a decimal point if one was found), or null when a digit can't be read
+     */
+    readSevenSegment(mask) {
+        const { top, bottom, boxes } = this.findCharacters(mask);
+        const lineHeight = bottom - top + 1;
+        if (lineHeight < 10) return null;
+
+        let text = '';
+        for (const box of boxes) {
+            const width = box.x1 - box.x0 + 1;
+            const height = box.y1 - box.y0 + 1;
+
+            // Specks and separators
+            if (height < lineHeight * 0.3) {
+                if (box.y0 > top + lineHeight * 0.6 && width < lineHeight * 0.3 && text && !text.includes('.')) {
+                    text += '.';
+                }
+                continue;
+            }
+            if (height < lineHeight * 0.6) continue;
+
+            if (width < lineHeight * 0.3) {
+                text += '1';
+                continue;
+            }
+
+            const pattern = Object.values(this.SEGMENT_AREAS).map(([x0, x1, y0, y1]) => {
+                const left = Math.round(box.x0 + x0 * width);
+                const right = Math.round(box.x0 + x1 * width);
+                const upper = Math.round(top + y0 * lineHeight);
+                const lower = Math.round(top + y1 * lineHeight);
+                let ink = 0;
+                let count = 0;
+                for (let y = upper; y < Math.max(lower, upper + 1); y++) {
+                    for (let x = left; x < Math.max(right, left + 1); x++) {
+                        ink += mask.data[y * mask.width + x] || 0;
+                        count++;
+                    }
+                }
+                return ink / count > 0.3 ? '1' : '0';
+            }).join('');
+
+            const digit = this.SEGMENT_DIGITS[pattern];
+            if (!digit) return null;
+            text += digit;
+        }
+
+        text = text.replace(/\.$/, '');
+        return text.replace('.', '').length >= 2 ? text : null;
+    }
+};
@@ -1,43 +1,140 @@
 /**
  * OCR module - handles image upload and text recognition using Tesseract.js
  * Extracts meter reading numbers from uploaded images
+ *
+ * Meter photos are cleaned up by Imaging first. Besides the standard mode there
+ * is a seven-segment mode for LCD meters and an odometer mode for dial meters
+ * with red decimal wheels (see MODES).
  */
 
 const OCR = {
     worker: null,
     isProcessing: false,
+    onProgress: null,
+    tesseractOptions: null,
+
+    // Bundled copy of Tesseract for offline use (see vendor/tesseract/README.md)
+    LOCAL_TESSERACT: {
+        workerPath: 'vendor/tesseract/worker.min.js',
+        corePath: 'vendor/tesseract',
+        langPath: 'vendor/tesseract/lang'
+    },
+
+    MODES: {
+        standard: 'רגיל',
+        sevenSegment: 'תצוגה דיגיטלית (LCD)',
+        odometer: 'גלגלות עם ספרות אדומות'
+    },
+
+    // Most electricity sub meters have an LCD and most water meters have wheels
+    DEFAULT_MODES: {
+        electricity: 'sevenSegment',
+        water: 'odometer'
+    },
+
+    // Reads below this confidence (0-100) are offered for the user to pick instead of being filled in
+    LOW_CONFIDENCE: 70,
+    // Confidence of a reading decoded from the segments, where every digit matched a known pattern
+    SEGMENT_CONFIDENCE: 90,
+
+    // A reading is implausible when it means more consumption per day than this (for a sub meter),
+    // or more than MAX_DAILY_FACTOR times the unit's usual daily consumption when that is higher
+    MAX_DAILY: { electricity: 150, water: 5 },
+    MAX_DAILY_FACTOR: 4,
+    // Billing period assumed while the bill's dates aren't entered yet: two months
+    DEFAULT_PERIOD_DAYS: 62,
+
+    // Wording of a bill whose consumption was estimated rather than read from the meter
+    ESTIMATE_PATTERN: /הערכה|משוערת|מוערכת/,
+
+    // Bill components recognized on receipts, with the split policy they default to
+    // and the bill parser field (see BillParsers) that reads them on known bill layouts
+    RECEIPT_LINE_ITEMS: [
+        {
+            label: 'תשלום קבוע',
+            policy: 'equal',
+            field: 'fixedCharges',
+            pattern: /(?:תשלום|חיוב|דמי)\s*(?:קבוע|מנוי)[^\d]{0,20}(\d+\.\d{1,2})/
+        },
+        {
+            label: 'ביוב',
+            policy: 'consumption',
+            billTypes: ['water'],
+            pattern: /(?:ביוב|שפכים)[^\d]{0,20}(\d+\.\d{1,2})/
+        },
+        {
+            label: 'מע"מ',
+            policy: 'consumption',
+            field: 'vat',
+            pattern: /מע"?מ[^\d]{0,15}(?:\d{1,2}(?:\.\d+)?\s*%\s*)?(\d+\.\d{1,2})/
+        }
+    ],
+
+    /**
+     * Where Tesseract loads its worker, engine and language data from: the bundled copy,
+     * or Tesseract's own CDN defaults when it can't be loaded (as index.html does for the library)
+     * @returns {Promise<Object>} Tesseract worker options
+     */
+    getTesseractOptions() {
+        if (!this.tesseractOptions) {
+            this.tesseractOptions = fetch(this.LOCAL_TESSERACT.workerPath)
+                .then(response => {
+                    if (!response.ok) return {};
+                    const options = {};
+                    Object.entries(this.LOCAL_TESSERACT).forEach(([key, path]) => {
+                        options[key] = new URL(path, document.baseURI).href;
+                    });
+                    return options;
+                })
+                .catch(() => ({}));
+        }
+        return this.tesseractOptions;
+    },
 
     /**
-     * Process an image file and extract numbers
+     * Process a meter image and extract numbers
      * @param {File} imageFile - The image file to process
      * @param {Function} onProgress - Progress callback (0-100)
-     * @returns {Promise<string>} Extracted number string
+     * @param {Object} [options] - { mode: key of MODES, crop: { x, y, width, height } as fractions of the photo }
+     * @returns {Promise<Object>} Extracted numbers, see extractNumbers()
      */
-    async processImage(imageFile, onProgress) {
+    async processImage(imageFile, onProgress, options = {}) {
         if (this.isProcessing) {
             throw new Error('כבר מעבד תמונה, נא להמתין');
         }
 
         this.isProcessing = true;
+        const mode = options.mode || 'standard';
 
         try {
-            // Create image URL
-            const imageUrl = URL.createObjectURL(imageFile);
-
-            // Use Tesseract.js to recognize text
-            const result = await Tesseract.recognize(imageUrl, 'eng', {
-                logger: (info) => {
-                    if (info.status === 'recognizing text' && onProgress) {
-                        onProgress(Math.round(info.progress * 100));
-                    }
+            const { parts } = await Imaging.prepare(imageFile, { mode, crop: options.crop });
+            let numbers;
+
+            if (mode === 'sevenSegment') {
+                // Decode the segments directly, and fall back to digit-only recognition
+                const digits = Imaging.readSevenSegment(parts[0].mask);
+                if (digits) {
+                    numbers = this.extractNumbers(digits);
+                    numbers.candidates = this.getCandidates({ text: digits }, this.SEGMENT_CONFIDENCE);
+                } else {
+                    const data = await this.recognizeDigits(parts[0].canvas, onProgress);
+                    numbers = this.extractNumbers(data.text);
+                    numbers.candidates = this.getCandidates(data);
                 }
-            });
-
-            // Clean up
-            URL.revokeObjectURL(imageUrl);
-
-            // Extract numbers from the recognized text
-            const numbers = this.extractNumbers(result.data.text);
+            } else if (mode === 'odometer') {
+                numbers = await this.readOdometer(parts, onProgress);
+            } else {
+                const result = await Tesseract.recognize(parts[0].canvas, 'eng', {
+                    ...await this.getTesseractOptions(),
+                    logger: (info) => {
+                        if (info.status === 'recognizing text' && onProgress) {
+                            onProgress(Math.round(info.progress * 100));
+                        }
+                    }
+                });
+                numbers = this.extractNumbers(result.data.text);
+                numbers.candidates = this.getCandidates(result.data);
+            }
 
             this.isProcessing = false;
             return numbers;
@@ -48,6 +145,196 @@ const OCR = {
         }
     },
 
+    /**
+     * Tesseract worker that only looks for a single line of digits.
+     * Created once and reused; progress goes to this.onProgress.
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    async getDigitWorker() {
+        if (!this.worker) {
+            this.worker = await Tesseract.createWorker('eng', 1, {
+                ...await this.getTesseractOptions(),
+                logger: (info) => {
+                    if (info.status === 'recognizing text' && this.onProgress) {
+                        this.onProgress(Math.round(info.progress * 100));
+                    }
+                }
+            });
+            await this.worker.setParameters({
+                tessedit_char_whitelist: '0123456789',
+                tessedit_pageseg_mode: Tesseract.PSM.SINGLE_LINE
+            });
+        }
+        return this.worker;
+    },
+
+    /**
+     * Recognize a line of digits
+     * @param {HTMLCanvasElement} canvas - Prepared image
+     * @param {Function} onProgress - Progress callback (0-100)
+     * @returns {Promise<Object>} Tesseract result data: { text, symbols }
+     */
+    async recognizeDigits(canvas, onProgress) {
+        const worker = await this.getDigitWorker();
+        this.onProgress = onProgress;
+        try {
+            const { data } = await worker.recognize(canvas);
+            return data;
+        } finally {
+            this.onProgress = null;
+        }
+    },
+
+    /**
+     * Read an odometer meter: the black integer wheels and, when found, the red decimal wheels
+     * @param {Array} parts - Prepared image parts from Imaging.prepare()
+     * @param {Function} onProgress - Progress callback (0-100)
+     * @returns {Promise<Object>} Extracted numbers, see extractNumbers()
+     */
+    async readOdometer(parts, onProgress) {
+        const integerPart = parts.find(part => part.name !== 'decimal');
+        const decimalPart = parts.find(part => part.name === 'decimal');
+
+        const integerData = await this.recognizeDigits(integerPart.canvas, onProgress);
+        const integer = this.readWheels(integerData);
+        if (!integer) {
+            return { found: false, numbers: [], bestMatch: null, candidates: [], rawText: integerData.text };
+        }
+
+        const decimalData = decimalPart ? await this.recognizeDigits(decimalPart.canvas, onProgress) : null;
+        const decimals = decimalData ? this.readWheels(decimalData) : '';
+        const reading = parseFloat(decimals ? `${integer}.${decimals}` : integer);
+
+        // The reading is as sure as its least sure part
+        const confidence = Math.min(...[integerData, decimals ? decimalData : null]
+            .filter(Boolean)
+            .map(data => data.confidence ?? 0));
+
+        return {
+            found: true,
+            numbers: [reading],
+            bestMatch: reading,
+            candidates: [{ value: reading, confidence }],
+            decimalsSeparated: Boolean(decimals),
+            rawText: integerData.text
+        };
+    },
+
+    /**
+     * Candidate readings with the confidence of the recognized word each was found in
+     * @param {Object} data - { text, words?: [{ text, confidence }] } (Tesseract result data)
+     * @param {number|null} [confidence] - Confidence of every candidate when there are no words
+     * @returns {Array} [{ value, confidence }], one per value with its highest confidence
+     */
+    getCandidates(data, confidence = null) {
+        const sources = data.words?.length
+            ? data.words.map(word => ({ text: word.text, confidence: word.confidence }))
+            : [{ text: data.text, confidence }];
+        const candidates = new Map();
+
+        sources.forEach(source => {
+            this.extractNumbers(source.text).numbers.forEach(value => {
+                const known = candidates.get(value);
+                if (!known || (known.confidence ?? -1) < (source.confidence ?? -1)) {
+                    candidates.set(value, { value, confidence: source.confidence === null ? null : Math.round(source.confidence) });
+                }
+            });
+        });
+
+        return [...candidates.values()];
+    },
+
+    /**
+     * Check a candidate reading against the meter's previous reading
+     * @param {number} value - Candidate reading
+     * @param {Object} context - { billType, previous, digits?, days?, usualDaily? } where usualDaily
+     *                           is the unit's average per-day consumption in earlier bills
+     * @returns {Object} { plausible, consumption, reason? }
+     */
+    checkPlausibility(value, context) {
+        if (typeof context.previous !== 'number' || isNaN(context.previous)) {
+            return { plausible: true, consumption: null };
+        }
+
+        const consumption = Calculator.meterDelta(context.previous, value, context.digits);
+        if (consumption === null) {
+            return { plausible: false, consumption: null, reason: `נמוך מהקריאה הקודמת (${context.previous})` };
+        }
+
+        const days = context.days || this.DEFAULT_PERIOD_DAYS;
+        const maxDaily = Math.max(this.MAX_DAILY[context.billType], (context.usualDaily || 0) * this.MAX_DAILY_FACTOR);
+        if (consumption / days > maxDaily) {
+            const unit = RATES[context.billType].unit;
+            return {
+                plausible: false,
+                consumption,
+                reason: `צריכה של ${Math.round(consumption * 100) / 100} ${unit} ב-${days} ימים - גבוהה מהסביר`
+            };
+        }
+
+        return { plausible: true, consumption };
+    },
+
+    /**
+     * Rank candidate readings: plausible ones first, then by confidence, then longer numbers
+     * @param {Array} candidates - [{ value, confidence }]
+     * @param {Object} context - See checkPlausibility()
+     * @returns {Array} [{ value, confidence, plausible, consumption, reason? }], best first
+     */
+    rankCandidates(candidates, context) {
+        return candidates
+            .map(candidate => ({ ...candidate, ...this.checkPlausibility(candidate.value, context) }))
+            .sort((a, b) =>
+                (b.plausible - a.plausible) ||
+                ((b.confidence ?? 0) - (a.confidence ?? 0)) ||
+                (String(b.value).length - String(a.value).length)
+            );
+    },
+
+    /**
+     * Whether a candidate is too uncertain to fill in without the user choosing it
+     */
+    isLowConfidence(candidate) {
+        return candidate.confidence !== null && candidate.confidence < this.LOW_CONFIDENCE;
+    },
+
+    /**
+     * Digits of a row of odometer wheels. A wheel caught between two digits shows
+     * the bottom of the digit it is leaving above the top of the next one, and is
+     * read as the digit it is leaving (the lower value), like a person would.
+     * @param {Object} data - Tesseract result data with symbols and their boxes
+     * @returns {string} Digits, empty when none were found
+     */
+    readWheels(data) {
+        const symbols = (data.symbols || []).filter(symbol => /^\d$/.test(symbol.text));
+        if (symbols.length === 0) {
+            return (data.text || '').replace(/\D/g, '');
+        }
+
+        const middle = (symbol) => (symbol.bbox.y0 + symbol.bbox.y1) / 2;
+        const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+        const lineMiddle = median(symbols.map(middle));
+        const digitHeight = median(symbols.map(symbol => symbol.bbox.y1 - symbol.bbox.y0));
+
+        // Both halves of a rolling wheel may be recognized: keep the upper one
+        const wheels = [];
+        [...symbols].sort((a, b) => a.bbox.x0 - b.bbox.x0).forEach(symbol => {
+            const last = wheels[wheels.length - 1];
+            const overlap = last ? Math.min(last.bbox.x1, symbol.bbox.x1) - Math.max(last.bbox.x0, symbol.bbox.x0) : 0;
+            if (last && overlap > (symbol.bbox.x1 - symbol.bbox.x0) / 2) {
+                if (middle(symbol) < middle(last)) wheels[wheels.length - 1] = symbol;
+                return;
+            }
+            wheels.push(symbol);
+        });
+
+        return wheels.map(symbol => {
+            const digit = Number(symbol.text);
+            // Only the top of the next digit is showing: the wheel is still on the one before it
+            return middle(symbol) - lineMiddle > digitHeight * 0.3 ? (digit + 9) % 10 : digit;
+        }).join('');
+    },
+
     /**
      * Extract the most likely meter reading number from OCR text
      * Meter readings are typically 4-8 digit numbers
@@ -121,6 +408,7 @@ const OCR = {
 
             // Use both Hebrew and English for receipt recognition
             const result = await Tesseract.recognize(imageUrl, 'heb+eng', {
+                ...await this.getTesseractOptions(),
                 logger: (info) => {
                     if (info.status === 'recognizing text' && onProgress) {
                         onProgress(Math.round(info.progress * 100));
@@ -145,20 +433,17 @@ const OCR = {
      * Extract bill amount and consumption from OCR text
      * @param {string} text - Raw OCR text from receipt
      * @param {string} billType - 'electricity' or 'water'
-     * @returns {Object} Extracted data
+     * @returns {Object} Extracted data: { found, totalBill, consumption, lineItems, period, bill, estimated, rawText }
+     *                   where `bill` is the BillParsers.parse() result when the bill's layout was recognized
+     *                   and `estimated` tells the bill says its consumption is an estimate
      */
     extractReceiptData(text, billType) {
         if (!text || text.trim() === '') {
-            return { found: false, totalBill: null, consumption: null, rawText: '' };
+            return { found: false, totalBill: null, consumption: null, lineItems: [], period: null, bill: null, estimated: false, rawText: '' };
         }
 
         const rawText = text;
-
-        // Normalize text
-        let cleaned = text
-            .replace(/\s+/g, ' ')
-            .replace(/,/g, '')  // Remove commas from numbers
-            .replace(/[׳']/g, "'"); // Normalize Hebrew quotes
+        const cleaned = this.normalizeReceiptText(text);
 
         let totalBill = null;
         let consumption = null;
@@ -235,14 +520,121 @@ const OCR = {
             }
         }
 
+        let period = this.extractPeriod(cleaned);
+
+        // A recognized bill layout reads the fields next to their labels, which beats the guesses above -
+        // unless the bill's own figures don't back a field up, in which case the guess stays
+        const bill = BillParsers.parse(cleaned, billType);
+        const fields = {};
+        if (bill) {
+            Object.entries(bill.fields)
+                .filter(([, field]) => !this.isLowConfidence(field))
+                .forEach(([name, field]) => { fields[name] = field; });
+        }
+        if (fields.totalBill) totalBill = fields.totalBill.value;
+        if (fields.consumption) consumption = fields.consumption.value;
+        if (fields.period) period = fields.period.value;
+
+        const lineItems = this.extractLineItems(cleaned, billType, totalBill, fields);
+
         return {
-            found: totalBill !== null || consumption !== null,
+            found: totalBill !== null || consumption !== null || lineItems.length > 0 || period !== null,
             totalBill,
             consumption,
+            lineItems,
+            period,
+            bill,
+            estimated: this.ESTIMATE_PATTERN.test(cleaned),
             rawText
         };
     },
 
+    /**
+     * Normalize receipt OCR text: one line, no thousands separators and straight quotes
+     * @param {string} text - OCR text
+     * @returns {string} Normalized text
+     */
+    normalizeReceiptText(text) {
+        return text
+            .replace(/\s+/g, ' ')
+            .replace(/,/g, '')  // Remove commas from numbers
+            .replace(/[׳']/g, "'") // Normalize Hebrew quotes
+            .replace(/[״“”]/g, '"');
+    },
+
+    /**
+     * Extract the billing period from normalized receipt text.
+     * Prefers the dates that follow a period keyword, otherwise takes the first
+     * pair of consecutive dates that looks like a billing period (up to ~4 months).
+     * @param {string} cleaned - Normalized OCR text
+     * @returns {Object|null} { start, end } as 'YYYY-MM-DD'
+     */
+    extractPeriod(cleaned) {
+        const datePattern = /(\d{1,2})[.\/-](\d{1,2})[.\/-](\d{4}|\d{2})(?!\d)/g;
+        const dates = [];
+        let match;
+
+        while ((match = datePattern.exec(cleaned)) !== null) {
+            const day = parseInt(match[1], 10);
+            const month = parseInt(match[2], 10);
+            const year = match[3].length === 2 ? 2000 + parseInt(match[3], 10) : parseInt(match[3], 10);
+
+            if (day >= 1 && day <= 31 && month >= 1 && month <= 12) {
+                const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+                dates.push({ iso, index: match.index });
+            }
+        }
+
+        const keywordIndex = cleaned.search(/תקופ[הת]|מתאריך|period/i);
+        const ordered = keywordIndex >= 0
+            ? [...dates.filter(d => d.index > keywordIndex), ...dates.filter(d => d.index < keywordIndex)]
+            : dates;
+
+        for (let i = 0; i + 1 < ordered.length; i++) {
+            const start = ordered[i].iso;
+            const end = ordered[i + 1].iso;
+            const days = (new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000);
+
+            if (days > 0 && days <= 124) {
+                return { start, end };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Extract fixed charges, sewage and VAT lines from normalized receipt text
+     * @param {string} cleaned - Normalized OCR text
+     * @param {string} billType - 'electricity' or 'water'
+     * @param {number|null} totalBill - Detected bill total, used as an upper bound
+     * @param {Object} [fields] - Confident BillParsers fields, read instead of the item's pattern when present
+     * @returns {Array} Line items: { label, amount, policy }
+     */
+    extractLineItems(cleaned, billType, totalBill, fields = {}) {
+        const lineItems = [];
+        let itemsTotal = 0;
+
+        for (const item of this.RECEIPT_LINE_ITEMS) {
+            if (item.billTypes && !item.billTypes.includes(billType)) continue;
+
+            let amount;
+            if (item.field && fields[item.field]) {
+                amount = fields[item.field].value;
+            } else {
+                const match = cleaned.match(item.pattern);
+                if (!match) continue;
+                amount = parseFloat(match[1]);
+            }
+            if (!(amount > 0) || (totalBill !== null && itemsTotal + amount >= totalBill)) continue;
+
+            lineItems.push({ label: item.label, amount, policy: item.policy });
+            itemsTotal += amount;
+        }
+
+        return lineItems;
+    },
+
     /**
      * Create image preview URL
      * @param {File} imageFile 
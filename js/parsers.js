@@ -0,0 +1,246 @@
+/**
+ * Bill parsers - read the fields of known bill layouts from receipt OCR text
+ *
+ * Each parser recognizes one bill format (the Israel Electric Company bill, the
+ * municipal water corporations' bill) by the names and phrases printed on it,
+ * and reads the fields next to their labels. Every field comes back with a
+ * confidence (0-100) that is raised when fields agree with each other - the
+ * readings add up to the consumption, the VAT matches the total - and lowered
+ * when they don't. New formats are added with BillParsers.register().
+ *
+ * Parsers work on the normalized text of OCR.normalizeReceiptText(): one line,
+ * no thousands separators and straight quotes.
+ */
+
+const BillParsers = {
+    // Confidence of a field read next to its label, before the cross checks
+    BASE_CONFIDENCE: 75,
+    // VAT rates bills may have been issued with (17% until 2024, 18% from 2025)
+    VAT_RATES: [0.17, 0.18],
+    MAX_PERIOD_DAYS: 124,
+
+    FIELD_LABELS: {
+        period: 'תקופה',
+        previousReading: 'קריאה קודמת',
+        currentReading: 'קריאה נוכחית',
+        consumption: 'צריכה',
+        fixedCharges: 'תשלום קבוע',
+        vat: 'מע"מ',
+        totalBill: 'סכום לתשלום',
+        dueDate: 'לתשלום עד'
+    },
+
+    /**
+     * Registered parsers. A parser is { id, name, billTypes, identify, fields } where
+     * `identify` are patterns found on that bill and `fields` maps a field name (see
+     * FIELD_LABELS) to patterns whose first group is the value - two groups for the
+     * period's dates. A parser may instead provide parse(text) returning the raw values.
+     */
+    parsers: [
+        {
+            id: 'iec',
+            name: 'חברת החשמל',
+            billTypes: ['electricity'],
+            identify: [/חברת\s*החשמל/, /חשמל\s*לישראל/, /iec\.co\.il/i, /מספר\s*חוזה/, /קוט"ש/],
+            fields: {
+                period: [
+                    /(?:תקופת\s*(?:ה)?חשבון|לתקופה|תקופה)[^\d]{0,20}(\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4})\s*[-–]?\s*(?:עד\s*)?(\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4})/
+                ],
+                previousReading: [/קריאה\s*קודמת[^\d]{0,20}(\d+(?:\.\d+)?)(?![.\/-]\d)/],
+                currentReading: [/קריאה\s*(?:נוכחית|אחרונה)[^\d]{0,20}(\d+(?:\.\d+)?)(?![.\/-]\d)/],
+                consumption: [
+                    /(?:סה"כ\s*)?צריכה(?:\s*ב?קוט"ש)?[^\d]{0,20}(\d+(?:\.\d+)?)(?![.\/-]\d)/,
+                    /(\d+(?:\.\d+)?)\s*קוט"ש/
+                ],
+                fixedCharges: [/(?:תשלום|חיוב)\s*קבוע[^\d]{0,20}(\d+\.\d{1,2})/],
+                vat: [/מע"?מ[^\d]{0,15}(?:\d{1,2}(?:\.\d+)?\s*%\s*)?(\d+\.\d{1,2})/],
+                totalBill: [/(?:סה"כ|סכום)\s*(?:ה)?לתשלום(?!\s*עד)[^\d]{0,15}(\d+(?:\.\d{1,2})?)/],
+                dueDate: [
+                    /(?:לתשלום\s*עד|מועד\s*(?:אחרון\s*)?(?:ל)?תשלום|תאריך\s*אחרון\s*לתשלום)[^\d]{0,15}(\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4})/
+                ]
+            }
+        },
+        {
+            id: 'waterCorporation',
+            name: 'תאגיד המים',
+            billTypes: ['water'],
+            identify: [
+                /תאגיד/,
+                /מי\s*(?:אביבים|שבע|כרמל|רעננה|נתניה|הרצליה|עדן|ציונה|רהט|הקריות)/,
+                /הגיחון|מניב\s*ראשון|מיתב|יובלים|פלגי\s*מוצקין|עין\s*אפק|סובב\s*שפרעם|מעיינות\s*העמק|מי\s*לוד/,
+                /רשות\s*המים/,
+                /מ"ק/
+            ],
+            fields: {
+                period: [
+                    /(?:תקופת\s*(?:ה)?חיוב|תקופת\s*(?:ה)?חשבון|לתקופה|תקופה)[^\d]{0,20}(\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4})\s*[-–]?\s*(?:עד\s*)?(\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4})/
+                ],
+                previousReading: [/קריאה\s*קודמת[^\d]{0,20}(\d+(?:\.\d+)?)(?![.\/-]\d)/],
+                currentReading: [/קריאה\s*(?:נוכחית|אחרונה)[^\d]{0,20}(\d+(?:\.\d+)?)(?![.\/-]\d)/],
+                consumption: [
+                    /(?:סה"כ\s*)?(?:כמות\s*)?צריכה(?:\s*ב?מ"ק)?[^\d]{0,20}(\d+(?:\.\d+)?)(?![.\/-]\d)/,
+                    /(\d+(?:\.\d+)?)\s*מ"ק/
+                ],
+                fixedCharges: [/(?:תשלום|חיוב|דמי)\s*(?:קבוע|מנוי)[^\d]{0,20}(\d+\.\d{1,2})/],
+                vat: [/מע"?מ[^\d]{0,15}(?:\d{1,2}(?:\.\d+)?\s*%\s*)?(\d+\.\d{1,2})/],
+                totalBill: [/(?:סה"כ|סכום)\s*(?:ה)?(?:חיוב\s*)?לתשלום(?!\s*עד)[^\d]{0,15}(\d+(?:\.\d{1,2})?)/],
+                dueDate: [
+                    /(?:לתשלום\s*עד|מועד\s*(?:אחרון\s*)?(?:ל)?תשלום|תאריך\s*(?:אחרון\s*)?(?:ל)?תשלום)[^\d]{0,15}(\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4})/
+                ]
+            }
+        }
+    ],
+
+    /**
+     * Add a parser for another bill format. Parsers registered later are tried first
+     * when they recognize a bill as well as a built-in one.
+     * @param {Object} parser - See `parsers`
+     */
+    register(parser) {
+        this.parsers = [parser, ...this.parsers.filter(existing => existing.id !== parser.id)];
+    },
+
+    /**
+     * The parser that best recognizes a bill: the one with the most identifying patterns found
+     * @param {string} text - Normalized OCR text
+     * @param {string} billType - 'electricity' or 'water'
+     * @returns {Object|null} Parser, or null when none recognizes the bill
+     */
+    detect(text, billType) {
+        let best = null;
+        let bestScore = 0;
+
+        this.parsers
+            .filter(parser => !parser.billTypes || parser.billTypes.includes(billType))
+            .forEach(parser => {
+                const score = parser.identify.filter(pattern => pattern.test(text)).length;
+                if (score > bestScore) {
+                    best = parser;
+                    bestScore = score;
+                }
+            });
+
+        return best;
+    },
+
+    /**
+     * Parse a bill with the parser that recognizes it
+     * @param {string} text - Normalized OCR text
+     * @param {string} billType - 'electricity' or 'water'
+     * @returns {Object|null} { parser, name, fields: { [field]: { value, confidence } } },
+     *                        or null when no parser recognizes the bill
+     */
+    parse(text, billType) {
+        const parser = this.detect(text, billType);
+        if (!parser) return null;
+
+        const values = parser.parse ? parser.parse(text) : this.extractFields(text, parser.fields);
+        return { parser: parser.id, name: parser.name, fields: this.score(values) };
+    },
+
+    /**
+     * Read each field with the first of its patterns that matches
+     * @param {string} text - Normalized OCR text
+     * @param {Object} fields - { [field]: [patterns] }
+     * @returns {Object} Raw values: numbers, 'YYYY-MM-DD' dates and period { start, end }
+     */
+    extractFields(text, fields) {
+        const values = {};
+
+        Object.entries(fields).forEach(([field, patterns]) => {
+            for (const pattern of patterns) {
+                const match = text.match(pattern);
+                if (!match) continue;
+
+                if (field === 'period') {
+                    const start = this.parseDate(match[1]);
+                    const end = this.parseDate(match[2]);
+                    if (!start || !end) continue;
+                    values.period = { start, end };
+                } else if (field === 'dueDate') {
+                    const date = this.parseDate(match[1]);
+                    if (!date) continue;
+                    values.dueDate = date;
+                } else {
+                    const value = parseFloat(match[1]);
+                    if (isNaN(value)) continue;
+                    values[field] = value;
+                }
+                break;
+            }
+        });
+
+        return values;
+    },
+
+    /**
+     * Give each field a confidence, checking the fields against each other
+     * @param {Object} values - Raw values from extractFields()
+     * @returns {Object} { [field]: { value, confidence } }
+     */
+    score(values) {
+        const fields = {};
+        Object.entries(values).forEach(([field, value]) => {
+            fields[field] = { value, confidence: this.BASE_CONFIDENCE };
+        });
+        const set = (names, confidence) => names.forEach(name => {
+            if (fields[name]) fields[name].confidence = confidence;
+        });
+
+        // Readings: current minus previous should be the consumption
+        const { previousReading, currentReading, consumption } = values;
+        if (previousReading !== undefined && currentReading !== undefined) {
+            const delta = Math.round((currentReading - previousReading) * 1000) / 1000;
+            if (delta <= 0) {
+                set(['previousReading', 'currentReading'], 30);
+            } else if (consumption === undefined) {
+                fields.consumption = { value: delta, confidence: 70 };
+            } else if (Math.abs(delta - consumption) < 0.5) {
+                set(['previousReading', 'currentReading', 'consumption'], 95);
+            } else {
+                set(['previousReading', 'currentReading', 'consumption'], 40);
+            }
+        }
+
+        // Amounts: the charges are part of the total and the VAT is the total's VAT share
+        const { totalBill, fixedCharges, vat } = values;
+        if (totalBill !== undefined) {
+            if (fixedCharges >= totalBill) set(['fixedCharges'], 20);
+            if (vat >= totalBill) {
+                set(['vat'], 20);
+            } else if (vat !== undefined &&
+                this.VAT_RATES.some(rate => Math.abs(vat - totalBill * rate / (1 + rate)) <= 1)) {
+                set(['totalBill', 'vat'], 95);
+            }
+        }
+
+        // Dates: a billing period of up to four months, paid after it ends
+        const { period, dueDate } = values;
+        if (period) {
+            const days = (new Date(period.end) - new Date(period.start)) / DAY_MS;
+            set(['period'], days > 0 && days <= this.MAX_PERIOD_DAYS ? 90 : 30);
+        }
+        if (dueDate && period) {
+            set(['dueDate'], dueDate > period.end ? 85 : 40);
+        }
+
+        return fields;
+    },
+
+    /**
+     * Parse a printed date (d.m.yyyy, d/m/yy, ...)
+     * @param {string} text - Date as printed
+     * @returns {string|null} 'YYYY-MM-DD', or null when it isn't a valid date
+     */
+    parseDate(text) {
+        const match = text.match(/^(\d{1,2})[.\/-](\d{1,2})[.\/-](\d{4}|\d{2})$/);
+        if (!match) return null;
+
+        const day = parseInt(match[1], 10);
+        const month = parseInt(match[2], 10);
+        const year = match[3].length === 2 ? 2000 + parseInt(match[3], 10) : parseInt(match[3], 10);
+        if (day < 1 || day > 31 || month < 1 || month > 12) return null;
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+};
@@ -0,0 +1,128 @@
+/**
+ * Payments module - tracks what each unit paid toward its share of saved bills
+ *
+ * Payments are stored on the history entry per unit: entry.payments[unitId] is a
+ * list of { date, amount, method }. A unit's balance runs across all its bills in
+ * period order, so an underpaid bill carries over to the next one and an
+ * overpayment is credit toward it.
+ */
+
+const Payments = {
+    METHODS: {
+        transfer: 'העברה בנקאית',
+        bit: 'ביט',
+        paybox: 'פייבוקס',
+        cash: 'מזומן',
+        check: 'צ׳ק',
+        other: 'אחר'
+    },
+
+    STATUS_LABELS: {
+        paid: '✅ שולם',
+        partial: '🟡 שולם חלקית',
+        outstanding: '🔴 לא שולם'
+    },
+
+    /**
+     * Whether payments are tracked for a unit. By default the remainder unit
+     * (usually whoever holds the bill) isn't tracked and every other unit is.
+     * @param {Object} unit - Unit from the settings
+     */
+    isTracked(unit) {
+        return unit.trackPayments ?? !unit.remainder;
+    },
+
+    /**
+     * Total paid by a unit toward one bill
+     * @param {Object} entry - Saved calculation
+     * @param {string} unitId - Unit ID
+     * @returns {number} Amount paid in ₪
+     */
+    getPaid(entry, unitId) {
+        const total = (entry.payments?.[unitId] || []).reduce((sum, payment) => sum + payment.amount, 0);
+        return Math.round(total * 100) / 100;
+    },
+
+    /**
+     * Payment status of a unit's share of one bill
+     * @param {Object} entry - Saved calculation
+     * @param {string} unitId - Unit ID
+     * @returns {string} 'paid', 'partial' or 'outstanding'
+     */
+    getStatus(entry, unitId) {
+        const owed = entry.units.find(unit => unit.id === unitId)?.amount || 0;
+        const paid = this.getPaid(entry, unitId);
+
+        if (paid >= owed - 0.005) return 'paid';
+        return paid > 0 ? 'partial' : 'outstanding';
+    },
+
+    /**
+     * A unit's bills in period order with the balance carried after each one.
+     * A bill saved more than once counts once.
+     * @param {Array} history - Saved calculations
+     * @param {string} unitId - Unit ID
+     * @returns {Array} Rows: { entry, owed, paid, status, balance }
+     */
+    getLedger(history, unitId) {
+        const sortKey = (entry) => entry.period?.end || entry.date.slice(0, 10);
+        let balance = 0;
+
+        return Stats.uniqueBills(history)
+            .filter(entry => entry.units.some(unit => unit.id === unitId))
+            .sort((a, b) => sortKey(a).localeCompare(sortKey(b)))
+            .map(entry => {
+                const owed = entry.units.find(unit => unit.id === unitId).amount;
+                const paid = this.getPaid(entry, unitId);
+                balance = Math.round((balance + owed - paid) * 100) / 100;
+                return { entry, owed, paid, status: this.getStatus(entry, unitId), balance };
+            });
+    },
+
+    /**
+     * Who owes what: the running balance of every tracked unit
+     * @param {Array} history - Saved calculations
+     * @param {Array} units - Units from the settings
+     * @returns {Array} { unitId, name, owed, paid, balance, ledger } - a positive balance is owed,
+     *                  a negative one is credit
+     */
+    getBalances(history, units) {
+        return units.filter(unit => this.isTracked(unit)).map(unit => {
+            const ledger = this.getLedger(history, unit.id);
+            const owed = ledger.reduce((sum, row) => sum + row.owed, 0);
+            const paid = ledger.reduce((sum, row) => sum + row.paid, 0);
+            return {
+                unitId: unit.id,
+                name: unit.name,
+                owed: Math.round(owed * 100) / 100,
+                paid: Math.round(paid * 100) / 100,
+                balance: ledger.length > 0 ? ledger[ledger.length - 1].balance : 0,
+                ledger
+            };
+        });
+    },
+
+    /**
+     * WhatsApp reminder for a unit's outstanding balance, listing the bills not fully paid
+     * @param {Object} balance - Item from getBalances()
+     * @returns {string} Message text
+     */
+    generateReminderMessage(balance) {
+        let msg = `🔔 *תזכורת תשלום - ${balance.name}*\n`;
+        msg += `━━━━━━━━━━━━━\n`;
+
+        balance.ledger.filter(row => row.status !== 'paid').forEach(row => {
+            const { entry } = row;
+            const type = `${RATES[entry.billType].icon} ${RATES[entry.billType].name}`;
+            const period = entry.period ? ` ${Calculator.formatPeriod(entry.period)}` : '';
+            msg += `${type}${period}: ${Calculator.formatCurrency(row.owed)}`;
+            msg += row.paid > 0 ? ` (שולם ${Calculator.formatCurrency(row.paid)})\n` : '\n';
+        });
+
+        msg += `━━━━━━━━━━━━━\n`;
+        msg += `💰 יתרה לתשלום: *${Calculator.formatCurrency(balance.balance)}*\n`;
+        msg += `תודה! 🙏`;
+
+        return msg;
+    }
+};
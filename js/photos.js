@@ -0,0 +1,97 @@
+/**
+ * Photos module - keeps compressed copies of the receipt and meter photos with a calculation
+ *
+ * A saved calculation may carry `photos: { receipt, meters: { [unitId]: ... } }`
+ * where each photo is a JPEG data URL. Photos are downscaled when they are taken,
+ * and again in steps (see REDUCE_SIZES) when storage runs out of space.
+ */
+
+const Photos = {
+    MAX_SIZE: 1280,
+    QUALITY: 0.7,
+    // Longest side of the photos on each retry after storage ran out of space; past the last step they are left out
+    REDUCE_SIZES: [960, 640, 400],
+
+    /**
+     * Compress a photo to a JPEG data URL no larger than maxSize on its longest side
+     * @param {Blob|string} source - Image file or data URL
+     * @param {number} [maxSize] - Longest side in pixels
+     * @returns {Promise<string>} JPEG data URL
+     */
+    async compress(source, maxSize = this.MAX_SIZE) {
+        const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+
+        try {
+            const image = await this.loadImage(url);
+            const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', this.QUALITY);
+        } finally {
+            if (url !== source) URL.revokeObjectURL(url);
+        }
+    },
+
+    /**
+     * Load an image element from a URL
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not load image'));
+            image.src = url;
+        });
+    },
+
+    /**
+     * Make a calculation's photos smaller to fit in storage
+     * @param {Object} photos - { receipt, meters }
+     * @param {number} step - Retry number, from 0
+     * @returns {Promise<Object|null>} Smaller photos, or null when they should be left out
+     */
+    async reduce(photos, step) {
+        const size = this.REDUCE_SIZES[step];
+        if (!size) return null;
+
+        const meters = {};
+        for (const [unitId, photo] of Object.entries(photos.meters || {})) {
+            meters[unitId] = await this.compress(photo, size);
+        }
+        return {
+            receipt: photos.receipt ? await this.compress(photos.receipt, size) : null,
+            meters
+        };
+    },
+
+    /**
+     * Number of photos a calculation carries
+     * @param {Object} [photos] - { receipt, meters }
+     */
+    count(photos) {
+        if (!photos) return 0;
+        return (photos.receipt ? 1 : 0) + Object.keys(photos.meters || {}).length;
+    },
+
+    /**
+     * A calculation's photos with captions, for display
+     * @param {Object} entry - Saved calculation
+     * @param {string} [unitId] - Only this unit's meter photo (plus the receipt)
+     * @returns {Array} [{ label, src }]
+     */
+    list(entry, unitId = null) {
+        const photos = entry.photos;
+        if (!photos) return [];
+
+        const list = photos.receipt ? [{ label: '🧾 החשבונית', src: photos.receipt }] : [];
+        Object.entries(photos.meters || {}).forEach(([id, src]) => {
+            if (unitId && id !== unitId) return;
+            const unit = entry.units.find(u => u.id === id);
+            list.push({ label: `📷 מונה ${unit ? unit.name : id}`, src });
+        });
+        return list;
+    }
+};
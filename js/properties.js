@@ -0,0 +1,144 @@
+/**
+ * Properties module - named properties (buildings) managed in one installation
+ *
+ * Each property has its own units, rates, last readings and history.
+ * Modules scope their localStorage keys with Properties.key(), and
+ * history entries carry the property id in IndexedDB. The first property keeps
+ * the unscoped keys, so data saved before properties existed belongs to it.
+ */
+
+const Properties = {
+    STORAGE_KEY: 'utility_calculator_properties',
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'הנכס שלי',
+
+    /**
+     * Get the properties and which one is active
+     * @returns {Object} { active, list: [{ id, name }] }
+     */
+    get() {
+        const fallback = { active: this.DEFAULT_ID, list: [{ id: this.DEFAULT_ID, name: this.DEFAULT_NAME }] };
+        try {
+            const data = localStorage.getItem(this.STORAGE_KEY);
+            const saved = data ? JSON.parse(data) : null;
+            return saved?.list?.length ? saved : fallback;
+        } catch (e) {
+            console.error('Error reading properties from localStorage:', e);
+            return fallback;
+        }
+    },
+
+    /**
+     * Save the properties
+     * @param {Object} data - { active, list }
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.error('Error saving properties to localStorage:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Get all properties
+     * @returns {Array} [{ id, name }] in creation order
+     */
+    getAll() {
+        return this.get().list;
+    },
+
+    /**
+     * Get the id of the active property
+     * @returns {string} Property ID
+     */
+    getActiveId() {
+        const data = this.get();
+        return data.list.some(property => property.id === data.active) ? data.active : data.list[0].id;
+    },
+
+    /**
+     * Get the active property
+     * @returns {Object} { id, name }
+     */
+    getActive() {
+        const id = this.getActiveId();
+        return this.getAll().find(property => property.id === id);
+    },
+
+    /**
+     * Make a property the active one
+     * @param {string} id - Property ID
+     */
+    setActive(id) {
+        const data = this.get();
+        if (!data.list.some(property => property.id === id)) return false;
+        return this.save({ ...data, active: id });
+    },
+
+    /**
+     * Add a property
+     * @param {string} name - Display name
+     * @returns {Object} The new property { id, name }
+     */
+    add(name) {
+        const data = this.get();
+        let n = data.list.length + 1;
+        while (data.list.some(property => property.id === `property${n}`)) {
+            n++;
+        }
+
+        const property = { id: `property${n}`, name };
+        this.save({ ...data, list: [...data.list, property] });
+        return property;
+    },
+
+    /**
+     * Rename a property
+     * @param {string} id - Property ID
+     * @param {string} name - New display name
+     */
+    rename(id, name) {
+        const data = this.get();
+        const list = data.list.map(property => property.id === id ? { ...property, name } : property);
+        return this.save({ ...data, list });
+    },
+
+    /**
+     * Remove a property and its localStorage data. Its history is removed by
+     * Storage.deleteProperty(). The last property can't be removed.
+     * @param {string} id - Property ID
+     * @returns {boolean} Whether it was removed
+     */
+    remove(id) {
+        const data = this.get();
+        if (data.list.length <= 1) return false;
+
+        const list = data.list.filter(property => property.id !== id);
+        const active = data.active === id ? list[0].id : data.active;
+
+        try {
+            const suffix = id === this.DEFAULT_ID ? null : `:${id}`;
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('utility') && key !== this.STORAGE_KEY &&
+                    (suffix ? key.endsWith(suffix) : !key.includes(':')))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (e) {
+            console.error('Error removing property data from localStorage:', e);
+        }
+
+        return this.save({ active, list });
+    },
+
+    /**
+     * localStorage key of a setting for a property
+     * @param {string} baseKey - Key used by the first property
+     * @param {string} [id] - Property ID, the active one by default
+     * @returns {string} Scoped key
+     */
+    key(baseKey, id = this.getActiveId()) {
+        return id === this.DEFAULT_ID ? baseKey : `${baseKey}:${id}`;
+    }
+};
@@ -1,6 +1,10 @@
 /**
  * Israeli utility rates for comparison
- * Updated: 2024 (approximate rates - should be updated periodically)
+ * Each bill type has a history of tariffs with an effective-from date, so a bill
+ * is checked against the tariff that applied during its billing period.
+ * RATES holds the display metadata and the built-in (2024) snapshot.
+ * Electricity also has time-of-use (תעו"ז) prices per season and band.
+ * User-added tariff periods are kept by Storage (see Storage.getCustomRates()).
  */
 
 const RATES = {
@@ -8,6 +12,13 @@ const RATES = {
         // תעריף חשמל ביתי - אגורות לקוט"ש (כולל מע"מ)
         // תעריף אחיד לצרכן ביתי
         perUnit: 0.6564, // ₪ לקוט"ש (65.64 אגורות)
+        // תעריף תעו"ז ביתי - ₪ לקוט"ש לפי עונה ושעות שיא/שפל (כולל מע"מ, משוער)
+        touWinterPeak: 1.2104,
+        touWinterOffPeak: 0.4557,
+        touTransitionPeak: 0.4951,
+        touTransitionOffPeak: 0.4413,
+        touSummerPeak: 1.6920,
+        touSummerOffPeak: 0.5247,
         unit: 'קוט"ש',
         name: 'חשמל',
         icon: '💡',
@@ -30,19 +41,276 @@ const RATES = {
     }
 };
 
+// Time-of-use seasons (by calendar month) and daily bands
+const TOU_SEASONS = {
+    winter: { name: 'חורף', months: [12, 1, 2] },
+    transition: { name: 'מעבר', months: [3, 4, 5, 10, 11] },
+    summer: { name: 'קיץ', months: [6, 7, 8, 9] }
+};
+
+const TOU_BANDS = {
+    peak: 'שעות שיא',
+    offPeak: 'שעות שפל'
+};
+
+// Price fields of each bill type - the values that change between tariff periods
+const RATE_FIELDS = {
+    electricity: [
+        'perUnit',
+        'touWinterPeak', 'touWinterOffPeak',
+        'touTransitionPeak', 'touTransitionOffPeak',
+        'touSummerPeak', 'touSummerOffPeak'
+    ],
+    water: ['lowRate', 'highRate', 'lowThresholdPerPerson']
+};
+
+const RATE_FIELD_LABELS = {
+    perUnit: '₪ לקוט"ש',
+    touWinterPeak: 'תעו"ז חורף - שיא',
+    touWinterOffPeak: 'תעו"ז חורף - שפל',
+    touTransitionPeak: 'תעו"ז מעבר - שיא',
+    touTransitionOffPeak: 'תעו"ז מעבר - שפל',
+    touSummerPeak: 'תעו"ז קיץ - שיא',
+    touSummerOffPeak: 'תעו"ז קיץ - שפל',
+    lowRate: 'תעריף נמוך (₪ למ"ק)',
+    highRate: 'תעריף גבוה (₪ למ"ק)',
+    lowThresholdPerPerson: 'סף תעריף נמוך (מ"ק לנפש לחודש)'
+};
+
+// Built-in tariff periods (approximate - newer periods can be added from the settings screen)
+const RATE_HISTORY = {
+    electricity: [
+        {
+            effectiveFrom: '2024-01-01',
+            perUnit: RATES.electricity.perUnit,
+            touWinterPeak: RATES.electricity.touWinterPeak,
+            touWinterOffPeak: RATES.electricity.touWinterOffPeak,
+            touTransitionPeak: RATES.electricity.touTransitionPeak,
+            touTransitionOffPeak: RATES.electricity.touTransitionOffPeak,
+            touSummerPeak: RATES.electricity.touSummerPeak,
+            touSummerOffPeak: RATES.electricity.touSummerOffPeak
+        }
+    ],
+    water: [
+        {
+            effectiveFrom: '2024-01-01',
+            lowRate: RATES.water.lowRate,
+            highRate: RATES.water.highRate,
+            lowThresholdPerPerson: RATES.water.lowThresholdPerPerson
+        }
+    ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a 'YYYY-MM-DD' date as UTC midnight (day arithmetic without DST shifts)
+ */
+function parseRateDate(isoDate) {
+    return new Date(`${isoDate.slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Get all tariff periods of a bill type, built-in and user-added, oldest first.
+ * A user-added period with the same date as a built-in one replaces it, and
+ * price fields a period does not set carry over from the period before it.
+ */
+function getRateHistory(billType) {
+    const custom = typeof Storage !== 'undefined' ? Storage.getCustomRates()[billType] || [] : [];
+    const byDate = {};
+
+    (RATE_HISTORY[billType] || []).forEach(entry => { byDate[entry.effectiveFrom] = { ...entry }; });
+    custom.forEach(entry => { byDate[entry.effectiveFrom] = { ...entry, custom: true }; });
+
+    const history = Object.values(byDate).sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    history.forEach((entry, i) => {
+        const previous = i > 0 ? history[i - 1] : RATES[billType];
+        RATE_FIELDS[billType].forEach(field => {
+            if (entry[field] === undefined) {
+                entry[field] = previous[field];
+            }
+        });
+    });
+
+    return history;
+}
+
+/**
+ * Get the time-of-use season of a date
+ */
+function getTouSeason(isoDate) {
+    const month = parseRateDate(isoDate).getUTCMonth() + 1;
+    return Object.keys(TOU_SEASONS).find(season => TOU_SEASONS[season].months.includes(month));
+}
+
+function touField(season, band) {
+    const cap = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+    return `tou${cap(season)}${cap(band)}`;
+}
+
+/**
+ * Get the time-of-use price of every band over a billing period: each day is
+ * priced by its season under the tariff in effect that day, and the days are averaged.
+ * @param {Object} [period] - { start, end } as 'YYYY-MM-DD'; defaults to today
+ * @returns {Object} { peak, offPeak, seasons: { winter: days, ... } }
+ */
+function getTouPricesForPeriod(period) {
+    const today = new Date().toISOString().slice(0, 10);
+    const start = parseRateDate(period?.start || period?.end || today).getTime();
+    const end = period?.start && period?.end && period.end >= period.start
+        ? parseRateDate(period.end).getTime()
+        : start;
+
+    const totals = {};
+    const seasons = {};
+    let days = 0;
+
+    for (let time = start; time <= end; time += DAY_MS) {
+        const isoDate = new Date(time).toISOString().slice(0, 10);
+        const season = getTouSeason(isoDate);
+        const rate = getRatesAt('electricity', isoDate);
+
+        Object.keys(TOU_BANDS).forEach(band => {
+            totals[band] = (totals[band] || 0) + rate[touField(season, band)];
+        });
+        seasons[season] = (seasons[season] || 0) + 1;
+        days++;
+    }
+
+    const prices = { seasons };
+    Object.keys(TOU_BANDS).forEach(band => {
+        prices[band] = Math.round(totals[band] / days * 10000) / 10000;
+    });
+
+    return prices;
+}
+
+/**
+ * Expected cost of time-of-use consumption at the official band prices
+ * @param {Object} bands - kWh per band: { peak, offPeak }
+ * @param {Object} prices - Band prices from getTouPricesForPeriod()
+ */
+function getTouCost(bands, prices) {
+    return Object.keys(TOU_BANDS).reduce((sum, band) => sum + (bands[band] || 0) * prices[band], 0);
+}
+
+/**
+ * Get the tariff in effect on a given date.
+ * Dates before the first known period use the earliest tariff.
+ */
+function getRatesAt(billType, isoDate) {
+    const history = getRateHistory(billType);
+    let current = history[0];
+
+    for (const entry of history) {
+        if (entry.effectiveFrom <= isoDate.slice(0, 10)) {
+            current = entry;
+        }
+    }
+
+    return { ...RATES[billType], ...current };
+}
+
+/**
+ * Get the tariff for a billing period. When the period spans a tariff change,
+ * every price field is pro-rated by the number of days under each tariff
+ * (both the start and the end date count as billed days).
+ * @param {string} billType - 'electricity' or 'water'
+ * @param {Object} [period] - { start, end } as 'YYYY-MM-DD'; defaults to today
+ * @returns {Object} Rate object like RATES[billType], plus `segments` ({ effectiveFrom, days })
+ */
+function getRatesForPeriod(billType, period) {
+    if (!RATES[billType]) return null;
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (!period || !period.start || !period.end || period.end < period.start) {
+        const single = getRatesAt(billType, period?.end || period?.start || today);
+        return { ...single, segments: [{ effectiveFrom: single.effectiveFrom, days: 1 }] };
+    }
+
+    const history = getRateHistory(billType);
+    const start = parseRateDate(period.start).getTime();
+    const end = parseRateDate(period.end).getTime() + DAY_MS; // the end date is part of the period
+    const segments = [];
+
+    history.forEach((entry, i) => {
+        // The earliest tariff also covers any days before it took effect
+        const from = i === 0 ? -Infinity : parseRateDate(entry.effectiveFrom).getTime();
+        const to = i + 1 < history.length ? parseRateDate(history[i + 1].effectiveFrom).getTime() : Infinity;
+        const days = (Math.min(end, to) - Math.max(start, from)) / DAY_MS;
+
+        if (days > 0) {
+            segments.push({ entry, days });
+        }
+    });
+
+    const totalDays = segments.reduce((sum, segment) => sum + segment.days, 0);
+    const blended = { ...RATES[billType], ...segments[segments.length - 1].entry };
+
+    RATE_FIELDS[billType].forEach(field => {
+        const value = segments.reduce((sum, segment) => sum + segment.entry[field] * segment.days, 0) / totalDays;
+        blended[field] = Math.round(value * 10000) / 10000;
+    });
+
+    blended.segments = segments.map(segment => ({
+        effectiveFrom: segment.entry.effectiveFrom,
+        days: segment.days
+    }));
+
+    return blended;
+}
+
+/**
+ * Describe which tariff periods a rate object was built from
+ */
+function describeRateSegments(rate) {
+    if (!rate.segments || rate.segments.length <= 1) {
+        return `תעריף בתוקף מ-${formatRateDate(rate.effectiveFrom)}`;
+    }
+
+    return 'תעריף משוקלל: ' + rate.segments
+        .map(segment => `${segment.days} ימים מ-${formatRateDate(segment.effectiveFrom)}`)
+        .join(', ');
+}
+
+/**
+ * Describe the band prices and the season mix of a time-of-use period
+ */
+function describeTouSeasons(prices) {
+    const seasons = Object.entries(prices.seasons)
+        .map(([season, days]) => `${TOU_SEASONS[season].name} ${days} ימים`)
+        .join(', ');
+    return `שיא ₪${prices.peak} · שפל ₪${prices.offPeak} (${seasons})`;
+}
+
+function formatRateDate(isoDate) {
+    return parseRateDate(isoDate).toLocaleDateString('he-IL', { timeZone: 'UTC' });
+}
+
 /**
- * Get the official rate for a given bill type
+ * Get the official rate for a given bill type and billing period
  * For water, returns a weighted average or range description
+ * For time-of-use electricity, returns the band prices
  */
-function getOfficialRate(billType) {
-    const rate = RATES[billType];
+function getOfficialRate(billType, period, touBands) {
+    const rate = getRatesForPeriod(billType, period);
     if (!rate) return null;
 
+    if (billType === 'electricity' && touBands) {
+        const prices = getTouPricesForPeriod(period);
+        return {
+            peak: prices.peak,
+            offPeak: prices.offPeak,
+            description: `תעו"ז: שיא ₪${prices.peak} · שפל ₪${prices.offPeak} ל${rate.unit}`,
+            fullDescription: `${rate.description}\n${describeTouSeasons(prices)}`
+        };
+    }
+
     if (billType === 'electricity') {
         return {
             rate: rate.perUnit,
             description: `₪${rate.perUnit} ל${rate.unit}`,
-            fullDescription: rate.description
+            fullDescription: `${rate.description}\n${describeRateSegments(rate)}`
         };
     }
 
@@ -51,19 +319,42 @@ function getOfficialRate(billType) {
             lowRate: rate.lowRate,
             highRate: rate.highRate,
             description: `₪${rate.lowRate}-${rate.highRate} ל${rate.unit}`,
-            fullDescription: `${rate.description}\nתעריף נמוך: ₪${rate.lowRate} למ"ק (עד ${rate.lowThresholdPerPerson} מ"ק/נפש/חודש)\nתעריף גבוה: ₪${rate.highRate} למ"ק`
+            fullDescription: `${rate.description}\nתעריף נמוך: ₪${rate.lowRate} למ"ק (עד ${rate.lowThresholdPerPerson} מ"ק/נפש/חודש)\nתעריף גבוה: ₪${rate.highRate} למ"ק\n${describeRateSegments(rate)}`
         };
     }
 }
 
 /**
- * Check if the actual rate per unit is fair compared to official rates
+ * Check if the actual rate per unit is fair compared to the official rates
+ * in effect during the billing period
  * Returns: 'fair', 'warning', 'unfair'
  */
-function checkRateFairness(billType, actualRatePerUnit) {
-    const rate = RATES[billType];
+function checkRateFairness(billType, actualRatePerUnit, period, touBands) {
+    const rate = getRatesForPeriod(billType, period);
     if (!rate) return { status: 'unknown', message: 'לא ניתן לבדוק' };
 
+    // Time-of-use bills are compared to the expected average price of their own band mix
+    if (billType === 'electricity' && touBands) {
+        const prices = getTouPricesForPeriod(period);
+        const totalKwh = Object.keys(TOU_BANDS).reduce((sum, band) => sum + (touBands[band] || 0), 0);
+        const expectedRate = Math.round(getTouCost(touBands, prices) / totalKwh * 10000) / 10000;
+
+        return {
+            ...compareToRate(billType, actualRatePerUnit, { ...rate, perUnit: expectedRate }),
+            tariff: `תעו"ז - מחיר צפוי לפי פילוח הצריכה: ₪${expectedRate} ל${rate.unit}\n${describeTouSeasons(prices)}`
+        };
+    }
+
+    return {
+        ...compareToRate(billType, actualRatePerUnit, rate),
+        tariff: describeRateSegments(rate)
+    };
+}
+
+/**
+ * Compare an actual rate per unit to a single (possibly pro-rated) tariff
+ */
+function compareToRate(billType, actualRatePerUnit, rate) {
     if (billType === 'electricity') {
         const diff = Math.abs(actualRatePerUnit - rate.perUnit) / rate.perUnit;
         if (diff <= rate.tolerance) {
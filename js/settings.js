@@ -0,0 +1,192 @@
+/**
+ * Settings module - handles the housing units configuration using localStorage
+ *
+ * Each unit has an id and a display name. Exactly one unit is the
+ * "remainder" unit: it has no sub meter and is charged for the main
+ * consumption minus all sub meters. Sub-metered units may set the digit
+ * count of each meter (`meterDigits: { electricity, water }`) so readings
+ * that wrapped past zero can be read correctly. A unit's floor area (`area`,
+ * in m²) and residents are used to split common-area meters.
+ *
+ * Common-area meters (stairwell, garden, pump) are fed by the main meter of one
+ * bill type: { id, name, billType, policy, percents?, meterDigits? }.
+ *
+ * Settings belong to the active property (see Properties).
+ */
+
+const Settings = {
+    STORAGE_KEY: 'utility_calculator_settings',
+
+    DEFAULT_UNITS: [
+        { id: 'unit1', name: 'יחידה 1', remainder: true },
+        { id: 'unit2', name: 'יחידה 2', remainder: false }
+    ],
+
+    // Unusual consumption alerts: a unit's per-day consumption is flagged when it is more than
+    // `deviations` standard deviations from its average AND at least `minChange` percent away from it
+    DEFAULT_ANOMALY_THRESHOLDS: {
+        electricity: { deviations: 2, minChange: 30 },
+        water: { deviations: 2, minChange: 25 }
+    },
+
+    // Printed statements give the unit this many days from the day the bill was saved to pay
+    DEFAULT_STATEMENT_DUE_DAYS: 10,
+
+    /**
+     * Get all settings
+     * @returns {Object} Saved settings merged over the defaults
+     */
+    get() {
+        try {
+            const data = localStorage.getItem(Properties.key(this.STORAGE_KEY));
+            const saved = data ? JSON.parse(data) : {};
+            return {
+                units: this.DEFAULT_UNITS.map(unit => ({ ...unit })),
+                ...saved
+            };
+        } catch (e) {
+            console.error('Error reading settings from localStorage:', e);
+            return { units: this.DEFAULT_UNITS.map(unit => ({ ...unit })) };
+        }
+    },
+
+    /**
+     * Get only what was saved, without the defaults
+     * @returns {Object} Saved settings, empty when nothing was saved yet
+     */
+    getSaved() {
+        try {
+            const data = localStorage.getItem(Properties.key(this.STORAGE_KEY));
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.error('Error reading settings from localStorage:', e);
+            return {};
+        }
+    },
+
+    /**
+     * Save settings
+     * @param {Object} settings - Full settings object
+     */
+    save(settings) {
+        try {
+            localStorage.setItem(Properties.key(this.STORAGE_KEY), JSON.stringify(settings));
+            return true;
+        } catch (e) {
+            console.error('Error saving settings to localStorage:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Get the configured housing units
+     * @returns {Array} Units in display order
+     */
+    getUnits() {
+        return this.get().units;
+    },
+
+    /**
+     * Get only the units that have their own sub meter
+     * @returns {Array} Sub-metered units
+     */
+    getSubMeteredUnits() {
+        return this.getUnits().filter(unit => !unit.remainder);
+    },
+
+    /**
+     * Save the housing units list
+     * @param {Array} units - Units with id, name and remainder flag
+     */
+    saveUnits(units) {
+        const settings = this.get();
+        settings.units = units;
+        return this.save(settings);
+    },
+
+    /**
+     * Get the unusual consumption thresholds of a bill type
+     * @param {string} billType - 'electricity' or 'water'
+     * @returns {Object} { deviations, minChange }
+     */
+    getAnomalyThresholds(billType) {
+        return {
+            ...this.DEFAULT_ANOMALY_THRESHOLDS[billType],
+            ...this.get().anomalyThresholds?.[billType]
+        };
+    },
+
+    /**
+     * Save the unusual consumption thresholds
+     * @param {Object} thresholds - Per bill type: { electricity: { deviations, minChange }, water: { ... } }
+     */
+    saveAnomalyThresholds(thresholds) {
+        const settings = this.get();
+        settings.anomalyThresholds = thresholds;
+        return this.save(settings);
+    },
+
+    /**
+     * Get the number of days a unit has to pay a statement
+     * @returns {number} Days
+     */
+    getStatementDueDays() {
+        return this.get().statementDueDays ?? this.DEFAULT_STATEMENT_DUE_DAYS;
+    },
+
+    /**
+     * Save the number of days a unit has to pay a statement
+     * @param {number} days - Days
+     */
+    saveStatementDueDays(days) {
+        const settings = this.get();
+        settings.statementDueDays = days;
+        return this.save(settings);
+    },
+
+    /**
+     * Get the common-area meters
+     * @param {string} [billType] - Only the meters of this bill type
+     * @returns {Array} Common-area meters
+     */
+    getCommonMeters(billType) {
+        const meters = this.get().commonMeters || [];
+        return billType ? meters.filter(meter => meter.billType === billType) : meters;
+    },
+
+    /**
+     * Save the common-area meters list
+     * @param {Array} meters - Common-area meters
+     */
+    saveCommonMeters(meters) {
+        const settings = this.get();
+        settings.commonMeters = meters;
+        return this.save(settings);
+    },
+
+    /**
+     * Generate a new unique unit id
+     * @param {Array} units - Existing units
+     * @returns {string} Unused unit id
+     */
+    nextUnitId(units) {
+        let n = units.length + 1;
+        while (units.some(unit => unit.id === `unit${n}`)) {
+            n++;
+        }
+        return `unit${n}`;
+    },
+
+    /**
+     * Generate a new unique common-area meter id
+     * @param {Array} meters - Existing common-area meters
+     * @returns {string} Unused meter id
+     */
+    nextCommonMeterId(meters) {
+        let n = meters.length + 1;
+        while (meters.some(meter => meter.id === `common${n}`)) {
+            n++;
+        }
+        return `common${n}`;
+    }
+};
@@ -0,0 +1,104 @@
+/**
+ * Settlement module - one monthly total per unit across all utilities
+ *
+ * Every calculation covers a single bill type, so a month usually has an
+ * electricity bill and a water bill (and whatever utility RATES gains later).
+ * A settlement groups the saved bills by the month their period ends in and adds
+ * up each unit's share of them into one amount, keeping every bill as a line of
+ * its own. Payments toward a settlement are recorded on the bills it is made of.
+ */
+
+const Settlement = {
+    /**
+     * Month a bill is settled in: the month its period ends in, or the month it was saved
+     * @param {Object} entry - Saved calculation
+     * @returns {string} 'YYYY-MM'
+     */
+    getMonth(entry) {
+        return (entry.period?.end || entry.date).slice(0, 7);
+    },
+
+    /**
+     * Months that have bills, newest first
+     * @param {Array} history - Saved calculations
+     * @returns {Array} 'YYYY-MM' months
+     */
+    getMonths(history) {
+        return [...new Set(history.map(entry => this.getMonth(entry)))].sort((a, b) => b.localeCompare(a));
+    },
+
+    /**
+     * Settlement of one month
+     * @param {Array} history - Saved calculations
+     * @param {string} month - 'YYYY-MM'
+     * @param {Array} units - Units from the settings, for their current names and payment tracking
+     * @returns {Object} { type: 'settlement', month, bills, units, total } where each unit is
+     *                   { unitId, name, tracked, lines: [{ entry, billType, amount, paid }], total, paid, due }
+     */
+    build(history, month, units) {
+        const billTypes = Object.keys(RATES);
+        const bills = Stats.uniqueBills(history)
+            .filter(entry => this.getMonth(entry) === month)
+            .sort((a, b) => billTypes.indexOf(a.billType) - billTypes.indexOf(b.billType));
+
+        const byUnit = new Map();
+        bills.forEach(entry => {
+            entry.units.forEach(unit => {
+                if (!byUnit.has(unit.id)) {
+                    const configured = units.find(u => u.id === unit.id);
+                    byUnit.set(unit.id, {
+                        unitId: unit.id,
+                        name: configured?.name || unit.name,
+                        tracked: configured ? Payments.isTracked(configured) : false,
+                        lines: []
+                    });
+                }
+                byUnit.get(unit.id).lines.push({
+                    entry,
+                    billType: entry.billType,
+                    amount: unit.amount,
+                    paid: Payments.getPaid(entry, unit.id)
+                });
+            });
+        });
+
+        const settlementUnits = [...byUnit.values()].map(unit => {
+            const total = Math.round(unit.lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+            const paid = Math.round(unit.lines.reduce((sum, line) => sum + line.paid, 0) * 100) / 100;
+            return { ...unit, total, paid, due: Math.max(0, Math.round((total - paid) * 100) / 100) };
+        });
+
+        return {
+            type: 'settlement',
+            month,
+            bills,
+            units: settlementUnits,
+            total: Math.round(bills.reduce((sum, entry) => sum + entry.totalBill, 0) * 100) / 100
+        };
+    },
+
+    /**
+     * Split one payment toward a unit's settlement over its bills: each bill in turn gets
+     * what is still owed on it, and whatever is left over goes on the last one as credit
+     * @param {Object} unit - Unit of a settlement from build()
+     * @param {number} amount - Amount paid in ₪
+     * @returns {Array} [{ entryId, amount }] - the payment to record on each bill
+     */
+    allocate(unit, amount) {
+        const allocations = [];
+        let left = Math.round(amount * 100) / 100;
+
+        unit.lines.forEach((line, index) => {
+            if (left <= 0) return;
+            const isLast = index === unit.lines.length - 1;
+            const owed = Math.max(0, Math.round((line.amount - line.paid) * 100) / 100);
+            const share = isLast ? left : Math.min(left, owed);
+            if (share <= 0) return;
+
+            allocations.push({ entryId: line.entry.id, amount: share });
+            left = Math.round((left - share) * 100) / 100;
+        });
+
+        return allocations;
+    }
+};
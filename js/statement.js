@@ -0,0 +1,287 @@
+/**
+ * Statement module - builds a formal, print-friendly statement for one unit
+ *
+ * The statement is a standalone RTL HTML page that is opened in a new window,
+ * where the browser's print dialog can print it or save it as a PDF. Nothing
+ * leaves the device. Besides the statement of a single bill there is an annual
+ * summary listing all of a unit's bills in a calendar year.
+ */
+
+const Statement = {
+    STYLESHEET: 'css/statement.css',
+    FONT_STYLESHEET: 'vendor/heebo/heebo.css',
+
+    /**
+     * Payment due date of a bill: the given number of days after it was saved
+     * @param {Object} entry - Saved calculation
+     * @param {number} dueDays - Days to pay
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    getDueDate(entry, dueDays) {
+        const saved = parseRateDate(entry.date.slice(0, 10));
+        return new Date(saved.getTime() + dueDays * DAY_MS).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Statement of one bill for one unit
+     * @param {Object} entry - Saved calculation
+     * @param {string} unitId - Unit ID
+     * @param {Object} options - { history, dueDays }
+     * @returns {string} Full HTML document
+     */
+    buildUnitStatement(entry, unitId, options) {
+        const unit = entry.units.find(u => u.id === unitId);
+        const rate = RATES[entry.billType];
+        const label = entry.unitLabel;
+        const ledger = Payments.getLedger(options.history, unitId);
+        const index = ledger.findIndex(row => row.entry.id === entry.id);
+        const carried = index > 0 ? ledger[index - 1].balance : 0;
+        const paid = Payments.getPaid(entry, unitId);
+        const due = Math.round((carried + unit.amount - paid) * 100) / 100;
+        const lineItems = (entry.lineItems || []).filter(item => item.shares?.[unitId] > 0);
+        const photos = Photos.list(entry, unitId);
+
+        const body = `
+            <header class="statement-header">
+                <h1>${rate.icon} דוח חיוב ${rate.name}</h1>
+                <div class="statement-unit">🏠 ${this.escape(unit.name)}</div>
+                <div class="statement-meta">הופק ב-${new Date().toLocaleDateString('he-IL')}</div>
+            </header>
+
+            <section>
+                <h2>פרטי החשבון</h2>
+                <table>
+                    ${entry.period ? this.row('תקופת החשבון', `${Calculator.formatPeriod(entry.period)} (${entry.periodDays} ימים)`) : ''}
+                    ${this.row('סה"כ חשבונית', Calculator.formatCurrency(entry.totalBill))}
+                    ${this.row('צריכה כוללת', `${entry.totalConsumption} ${label}${entry.mainMeter?.applied ? ` (לפי המונה הראשי, בחשבון ${entry.mainMeter.billed})` : ''}`)}
+                    ${entry.mainMeter?.estimated ? this.row('סוג החשבון', 'לפי הערכה') : ''}
+                </table>
+            </section>
+
+            <section>
+                <h2>קריאות מונה וצריכה</h2>
+                <table>
+                    ${this.getReadingRows(entry, unit)}
+                    ${this.row('צריכת היחידה', `${unit.consumption} ${label}`)}
+                    ${unit.perDay ? this.row('ממוצע ליום', `${unit.perDay.consumption} ${label} · ${Calculator.formatCurrency(unit.perDay.amount)}`) : ''}
+                    ${unit.tou ? Object.entries(TOU_BANDS).map(([band, bandLabel]) =>
+                        this.row(bandLabel, `${unit.tou[band].consumption} ${label} · ${Calculator.formatCurrency(unit.tou[band].cost)}`)
+                    ).join('') : ''}
+                    ${unit.tiers ? `
+                        ${this.row(`מדרגה נמוכה (${unit.residents} נפשות)`, `${unit.tiers.lowConsumption} ${label} · ${Calculator.formatCurrency(unit.tiers.lowCost)}`)}
+                        ${this.row('מדרגה גבוהה', `${unit.tiers.highConsumption} ${label} · ${Calculator.formatCurrency(unit.tiers.highCost)}`)}
+                    ` : ''}
+                </table>
+                ${photos.length > 0 ? `
+                    <div class="statement-photos">
+                        ${photos.map(photo => `
+                            <figure>
+                                <img src="${this.escape(photo.src)}" alt="">
+                                <figcaption>${this.escape(photo.label)}</figcaption>
+                            </figure>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </section>
+
+            <section>
+                <h2>חלק היחידה בחשבון</h2>
+                <table>
+                    ${lineItems.length > 1 ? lineItems.map(item =>
+                        this.row(`${this.escape(item.label)} (${Calculator.SPLIT_POLICIES[item.policy]})`, Calculator.formatCurrency(item.shares[unitId]))
+                    ).join('') : ''}
+                    ${(entry.commonAreas || []).filter(common => common.shares[unitId] > 0).map(common =>
+                        this.row(`🏢 מתוכם ${this.escape(common.name)} (${Calculator.COMMON_POLICIES[common.policy]})`, Calculator.formatCurrency(common.shares[unitId]))
+                    ).join('')}
+                    ${(unit.occupants || []).map(occupant =>
+                        this.row(`👤 ${this.escape(occupant.name)} (${Calculator.formatPeriod({ start: occupant.from, end: occupant.to })})`,
+                            `${occupant.consumption} ${label} · ${Calculator.formatCurrency(occupant.amount)}`)
+                    ).join('')}
+                    ${this.row('חלק היחידה', `${Calculator.formatCurrency(unit.amount)} (${Calculator.formatPercent(unit.percent)})`, 'total')}
+                </table>
+            </section>
+
+            <section>
+                <h2>בדיקת תעריף</h2>
+                <table>
+                    ${this.row('תעריף בפועל', `${Calculator.formatCurrency(entry.actualRatePerUnit)}/${label}`)}
+                    ${entry.officialRate ? this.row('תעריף רשמי', this.escape(entry.officialRate.description)) : ''}
+                </table>
+                ${entry.rateCheck ? `<p class="statement-note">${this.escape(entry.rateCheck.message)}</p>` : ''}
+            </section>
+
+            <section>
+                <h2>לתשלום</h2>
+                <table>
+                    ${carried !== 0 ? this.row(carried > 0 ? 'יתרת חוב קודמת' : 'יתרת זכות קודמת', Calculator.formatCurrency(Math.abs(carried))) : ''}
+                    ${this.row('חיוב החשבון', Calculator.formatCurrency(unit.amount))}
+                    ${paid > 0 ? this.row('שולם', Calculator.formatCurrency(paid)) : ''}
+                    ${this.row('יתרה לתשלום', Calculator.formatCurrency(Math.max(0, due)), 'total')}
+                    ${due > 0.005 ? this.row('לתשלום עד', Calculator.formatDate(this.getDueDate(entry, options.dueDays))) : ''}
+                </table>
+            </section>
+        `;
+
+        return this.render(`דוח ${rate.name} - ${unit.name}`, body);
+    },
+
+    /**
+     * Meter reading rows of a unit. The remainder unit has no meter of its own.
+     */
+    getReadingRows(entry, unit) {
+        const label = entry.unitLabel;
+        if (unit.remainder) {
+            return this.row('אופן החישוב', `צריכה כוללת ${entry.totalConsumption} ${label} פחות מוני המשנה`);
+        }
+        if (!unit.meter) return '';
+
+        const { meter } = unit;
+        if (meter.replacement) {
+            return [
+                this.row('מונה ישן', `${meter.prev} → ${meter.replacement.oldFinal}`),
+                this.row(`מונה חדש (הוחלף ב-${Calculator.formatDate(meter.replacement.date)})`, `${meter.replacement.newStart} → ${meter.curr}`)
+            ].join('');
+        }
+        return [
+            this.row('קריאה קודמת', meter.prev),
+            this.row('קריאה נוכחית', `${meter.curr}${meter.rollover ? ' (המונה עבר דרך אפס)' : ''}`)
+        ].join('');
+    },
+
+    /**
+     * Annual summary of a unit: every bill whose period ends in the year, with totals per bill type
+     * @param {Array} history - Saved calculations
+     * @param {string} unitId - Unit ID
+     * @param {string} unitName - Unit name for the title
+     * @param {number} year - Calendar year
+     * @returns {string} Full HTML document
+     */
+    buildAnnualStatement(history, unitId, unitName, year) {
+        const bills = Stats.uniqueBills(history)
+            .filter(entry => this.getYear(entry) === year && entry.units.some(unit => unit.id === unitId))
+            .sort((a, b) => (a.period?.end || a.date).localeCompare(b.period?.end || b.date));
+
+        const sections = Object.keys(RATES).map(billType => {
+            const typeBills = bills.filter(entry => entry.billType === billType);
+            if (typeBills.length === 0) return '';
+
+            const rows = typeBills.map(entry => {
+                const unit = entry.units.find(u => u.id === unitId);
+                return { entry, unit, paid: Payments.getPaid(entry, unitId) };
+            });
+            const total = (field) => Math.round(rows.reduce((sum, row) => sum + field(row), 0) * 100) / 100;
+
+            return `
+                <section>
+                    <h2>${RATES[billType].icon} ${RATES[billType].name}</h2>
+                    <table class="statement-list">
+                        <tr><th>תקופה</th><th>צריכה</th><th>חיוב</th><th>שולם</th></tr>
+                        ${rows.map(({ entry, unit, paid }) => `
+                            <tr>
+                                <td>${entry.period ? Calculator.formatPeriod(entry.period) : Storage.formatDate(entry.date)}</td>
+                                <td>${unit.consumption} ${entry.unitLabel}</td>
+                                <td>${Calculator.formatCurrency(unit.amount)}</td>
+                                <td>${Calculator.formatCurrency(paid)}</td>
+                            </tr>
+                        `).join('')}
+                        <tr class="total">
+                            <td>סה"כ</td>
+                            <td>${total(row => row.unit.consumption)} ${RATES[billType].unit}</td>
+                            <td>${Calculator.formatCurrency(total(row => row.unit.amount))}</td>
+                            <td>${Calculator.formatCurrency(total(row => row.paid))}</td>
+                        </tr>
+                    </table>
+                </section>
+            `;
+        }).join('');
+
+        const owed = bills.reduce((sum, entry) => sum + entry.units.find(u => u.id === unitId).amount, 0);
+        const paid = bills.reduce((sum, entry) => sum + Payments.getPaid(entry, unitId), 0);
+
+        const body = `
+            <header class="statement-header">
+                <h1>🧾 סיכום שנתי ${year}</h1>
+                <div class="statement-unit">🏠 ${this.escape(unitName)}</div>
+                <div class="statement-meta">הופק ב-${new Date().toLocaleDateString('he-IL')}</div>
+            </header>
+            ${sections || '<p class="statement-note">אין חשבונות שמורים בשנה זו</p>'}
+            ${bills.length > 0 ? `
+                <section>
+                    <h2>סיכום</h2>
+                    <table>
+                        ${this.row('סה"כ חיובים', Calculator.formatCurrency(Math.round(owed * 100) / 100))}
+                        ${this.row('סה"כ שולם', Calculator.formatCurrency(Math.round(paid * 100) / 100))}
+                        ${this.row('יתרה לשנה', Calculator.formatCurrency(Math.round((owed - paid) * 100) / 100), 'total')}
+                    </table>
+                </section>
+            ` : ''}
+        `;
+
+        return this.render(`סיכום שנתי ${year} - ${unitName}`, body);
+    },
+
+    /**
+     * Calendar year a bill belongs to: the year its period ends in
+     */
+    getYear(entry) {
+        return Number((entry.period?.end || entry.date).slice(0, 4));
+    },
+
+    /**
+     * Years that have saved bills, newest first
+     * @param {Array} history - Saved calculations
+     * @returns {Array} Years
+     */
+    getYears(history) {
+        return [...new Set(history.map(entry => this.getYear(entry)))].sort((a, b) => b - a);
+    },
+
+    row(label, value, className = '') {
+        return `<tr${className ? ` class="${className}"` : ''}><th>${label}</th><td>${value}</td></tr>`;
+    },
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Wrap a statement body in a standalone page
+     */
+    render(title, body) {
+        return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+    <meta charset="UTF-8">
+    <base href="${document.baseURI}">
+    <title>${this.escape(title)}</title>
+    <link rel="stylesheet" href="${this.FONT_STYLESHEET}">
+    <link rel="stylesheet" href="${this.STYLESHEET}">
+</head>
+<body>
+    <div class="statement">
+        ${body}
+        <button class="statement-print-btn" onclick="window.print()">🖨️ הדפס / שמור כ-PDF</button>
+    </div>
+</body>
+</html>`;
+    },
+
+    /**
+     * Open a statement in a new window
+     * @param {string} html - Full HTML document
+     * @returns {boolean} False when the window was blocked
+     */
+    open(html) {
+        const win = window.open('', '_blank');
+        if (!win) return false;
+
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+        return true;
+    }
+};
@@ -0,0 +1,173 @@
+/**
+ * Stats module - turns the saved calculation history into monthly series for the statistics view
+ *
+ * Each bill is spread over the calendar months of its billing period by days,
+ * so a two-month water bill adds half of its consumption and cost to each month.
+ * A bill that was saved more than once (recalculated) is counted once, using the latest save.
+ */
+
+const Stats = {
+    MONTH_NAMES: ['ינו׳', 'פבר׳', 'מרץ', 'אפר׳', 'מאי', 'יוני', 'יולי', 'אוג׳', 'ספט׳', 'אוק׳', 'נוב׳', 'דצמ׳'],
+
+    /**
+     * Keep only the latest save of each bill
+     * @param {Array} history - Saved calculations, newest first (Storage.getAll())
+     * @returns {Array} Saved calculations, one per bill
+     */
+    uniqueBills(history) {
+        const seen = new Set();
+        return history.filter(entry => {
+            const key = entry.period
+                ? `${entry.billType}|${entry.period.start}|${entry.period.end}`
+                : entry.id;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    },
+
+    /**
+     * Share of a bill that falls in each calendar month, by days.
+     * Entries saved before billing periods were recorded count in the month they were saved.
+     * @param {Object} entry - Saved calculation
+     * @returns {Array} [{ month: 'YYYY-MM', fraction }]
+     */
+    getMonthShares(entry) {
+        if (!entry.period) {
+            return [{ month: entry.date.slice(0, 7), fraction: 1 }];
+        }
+
+        const start = parseRateDate(entry.period.start).getTime();
+        const end = parseRateDate(entry.period.end).getTime();
+        const totalDays = Math.round((end - start) / DAY_MS) + 1;
+
+        const days = {};
+        for (let time = start; time <= end; time += DAY_MS) {
+            const month = new Date(time).toISOString().slice(0, 7);
+            days[month] = (days[month] || 0) + 1;
+        }
+
+        return Object.entries(days).map(([month, count]) => ({ month, fraction: count / totalDays }));
+    },
+
+    /**
+     * Consecutive months from the first to the last, so gaps in the history show as gaps
+     * @param {Array} months - 'YYYY-MM' strings
+     * @returns {Array} Sorted, gap-free 'YYYY-MM' strings
+     */
+    getMonthRange(months) {
+        if (months.length === 0) return [];
+
+        const sorted = [...months].sort();
+        const range = [];
+        let [year, month] = sorted[0].split('-').map(Number);
+        const last = sorted[sorted.length - 1];
+
+        while (true) {
+            const key = `${year}-${String(month).padStart(2, '0')}`;
+            range.push(key);
+            if (key >= last) break;
+            month++;
+            if (month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+
+        return range;
+    },
+
+    /**
+     * Monthly consumption and cost of one bill type, in total and per unit
+     * @param {Array} history - Saved calculations, newest first
+     * @param {string} billType - 'electricity' or 'water'
+     * @returns {Object} { months, units: [{ id, name }], totals: { [month]: { consumption, cost } },
+     *                     byUnit: { [unitId]: { [month]: { consumption, cost } } } }
+     */
+    getMonthly(history, billType) {
+        const bills = this.uniqueBills(history).filter(entry => entry.billType === billType);
+        const totals = {};
+        const byUnit = {};
+        const units = [];
+
+        const add = (target, month, consumption, cost) => {
+            target[month] = target[month] || { consumption: 0, cost: 0 };
+            target[month].consumption += consumption;
+            target[month].cost += cost;
+        };
+
+        bills.forEach(entry => {
+            // Names come from the newest bill a unit appears in
+            entry.units.forEach(unit => {
+                if (!units.some(u => u.id === unit.id)) {
+                    units.push({ id: unit.id, name: unit.name });
+                }
+            });
+
+            this.getMonthShares(entry).forEach(({ month, fraction }) => {
+                add(totals, month, entry.totalConsumption * fraction, entry.totalBill * fraction);
+                entry.units.forEach(unit => {
+                    byUnit[unit.id] = byUnit[unit.id] || {};
+                    add(byUnit[unit.id], month, unit.consumption * fraction, unit.amount * fraction);
+                });
+            });
+        });
+
+        return {
+            months: this.getMonthRange(Object.keys(totals)),
+            units,
+            totals,
+            byUnit
+        };
+    },
+
+    /**
+     * Values of a monthly table as a series over the given months (null where there is no data)
+     * @param {Object} table - { [month]: { consumption, cost } }
+     * @param {Array} months - 'YYYY-MM' strings
+     * @param {string} field - 'consumption' or 'cost'
+     * @returns {Array} Values rounded to 2 decimals, or null
+     */
+    getSeries(table, months, field) {
+        return months.map(month => table[month] ? Math.round(table[month][field] * 100) / 100 : null);
+    },
+
+    /**
+     * Average price per kWh / m³ in each month: the month's cost over its consumption
+     * @param {Object} monthly - Result of getMonthly()
+     * @returns {Array} Price per month, or null
+     */
+    getAveragePrices(monthly) {
+        return monthly.months.map(month => {
+            const total = monthly.totals[month];
+            return total && total.consumption > 0
+                ? Math.round(total.cost / total.consumption * 1000) / 1000
+                : null;
+        });
+    },
+
+    /**
+     * Consumption of each calendar month, one row per year, to compare a month with the same month in other years
+     * @param {Object} monthly - Result of getMonthly()
+     * @returns {Array} [{ year, values: [12 values or null] }], oldest year first
+     */
+    getYearOverYear(monthly) {
+        const years = [...new Set(Object.keys(monthly.totals).map(month => month.slice(0, 4)))].sort();
+
+        return years.map(year => ({
+            year,
+            values: this.MONTH_NAMES.map((name, index) => {
+                const total = monthly.totals[`${year}-${String(index + 1).padStart(2, '0')}`];
+                return total ? Math.round(total.consumption * 100) / 100 : null;
+            })
+        }));
+    },
+
+    /**
+     * Format a 'YYYY-MM' month as a short chart label, e.g. "ינו׳ 24"
+     */
+    formatMonth(month) {
+        const [year, monthNumber] = month.split('-');
+        return `${this.MONTH_NAMES[Number(monthNumber) - 1]} ${year.slice(2)}`;
+    }
+};
@@ -1,49 +1,375 @@
 /**
- * Storage module - handles saving/loading calculation history using localStorage
+ * Storage module - handles saving/loading calculation history
+ *
+ * History lives in IndexedDB (no size cap, indexed by bill type and date) and is
+ * kept in memory as well, so reads come from memory. save(), update() and the payment
+ * changes resolve once the entry is written (or with null when it couldn't be, leaving
+ * the memory copy as it was); delete and clearAll write in the background. Storage.init()
+ * must finish before the history is used. History saved in localStorage by older
+ * versions is moved into IndexedDB once. Where IndexedDB isn't available the
+ * history stays in localStorage.
+ *
+ * Tariff periods are small and remain in localStorage.
+ *
+ * When storage is full, the photos of the entry being written are made smaller
+ * and smaller until it fits, and left out as a last resort (see Photos.reduce()).
+ * `onPhotosReduced` is told when that happens.
+ *
+ * Everything is scoped to the active property (see Properties): localStorage
+ * keys through Properties.key(), and IndexedDB records by their `propertyId`,
+ * which is part of the record key. Only the active property's history is loaded.
  */
 
 const Storage = {
     STORAGE_KEY: 'utility_calculator_history',
+    CUSTOM_RATES_KEY: 'utility_calculator_custom_rates',
+
+    DB_NAME: 'utility_calculator',
+    DB_VERSION: 2,
+    HISTORY_STORE: 'history',
 
     /**
-     * Get all saved calculations
-     * @returns {Array} Array of saved calculation results
+     * Schema upgrade steps: DB_UPGRADES[n] brings the database to version n.
+     * Each runs once, in order, inside the versionchange transaction.
      */
-    getAll() {
+    DB_UPGRADES: {
+        1: (db) => {
+            const store = db.createObjectStore('history', { keyPath: 'id' });
+            store.createIndex('billType', 'billType');
+            store.createIndex('date', 'date');
+            store.createIndex('billType_date', ['billType', 'date']);
+        },
+        // Records get the property they belong to, which becomes part of their key
+        2: (db, transaction) => {
+            const read = transaction.objectStore('history').getAll();
+            read.onsuccess = () => {
+                db.deleteObjectStore('history');
+                const store = db.createObjectStore('history', { keyPath: ['propertyId', 'id'] });
+                store.createIndex('propertyId', 'propertyId');
+                store.createIndex('billType', 'billType');
+                store.createIndex('date', 'date');
+                store.createIndex('billType_date', ['billType', 'date']);
+                read.result.forEach(entry => store.put({ ...entry, propertyId: Properties.DEFAULT_ID }));
+            };
+        }
+    },
+
+    db: null,
+    history: [],
+
+    // Called with the entry (and whether its photos were left out) after its photos were reduced to fit
+    onPhotosReduced: null,
+
+    /**
+     * Open the database, move any localStorage history into it and load the history
+     * @returns {Promise<void>}
+     */
+    async init() {
         try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
-            return data ? JSON.parse(data) : [];
+            this.db = await this.openDatabase();
+        } catch (e) {
+            console.error('IndexedDB unavailable, keeping history in localStorage:', e);
+            this.db = null;
+            this.history = this.readLocalHistory();
+            return;
+        }
+
+        const legacy = this.readLocalHistory();
+        if (legacy.length > 0) {
+            try {
+                await this.request(this.historyStore('readwrite', store => {
+                    legacy.forEach(entry => store.put(this.toRecord(entry)));
+                }));
+                localStorage.removeItem(Properties.key(this.STORAGE_KEY));
+            } catch (e) {
+                console.error('Error moving history from localStorage to IndexedDB:', e);
+            }
+        }
+
+        try {
+            const records = await this.request(this.historyStore('readonly', store =>
+                store.index('propertyId').getAll(Properties.getActiveId())
+            ));
+            this.history = records.map(record => this.fromRecord(record)).sort((a, b) => b.date.localeCompare(a.date));
+        } catch (e) {
+            console.error('Error reading from IndexedDB:', e);
+            this.history = legacy;
+        }
+    },
+
+    /**
+     * Open the database, running the upgrade steps it hasn't had yet
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const open = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            open.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion + 1; version <= this.DB_VERSION; version++) {
+                    this.DB_UPGRADES[version](open.result, open.transaction);
+                }
+            };
+            open.onsuccess = () => resolve(open.result);
+            open.onerror = () => reject(open.error);
+            open.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    },
+
+    /**
+     * IndexedDB record of a history entry: the entry tagged with the active property
+     */
+    toRecord(entry) {
+        return { ...entry, propertyId: Properties.getActiveId() };
+    },
+
+    /**
+     * History entry of an IndexedDB record
+     */
+    fromRecord(record) {
+        const { propertyId, ...entry } = record;
+        return this.normalizeEntry(entry);
+    },
+
+    /**
+     * Delete the active property's records whose ids aren't kept
+     * @param {IDBObjectStore} store - History store in a readwrite transaction
+     * @param {Array} keep - Entry ids to keep
+     * @param {Function} [then] - Runs after the deletes are queued
+     */
+    deleteRecords(store, keep = [], then = () => {}) {
+        const propertyId = Properties.getActiveId();
+        const keys = store.index('propertyId').getAllKeys(propertyId);
+        keys.onsuccess = () => {
+            keys.result.filter(([, id]) => !keep.includes(id)).forEach(key => store.delete(key));
+            then();
+        };
+    },
+
+    /**
+     * Run work against the history store in a new transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the object store, may return an IDBRequest
+     * @returns {Object} { transaction, request }
+     */
+    historyStore(mode, work) {
+        const transaction = this.db.transaction(this.HISTORY_STORE, mode);
+        const request = work(transaction.objectStore(this.HISTORY_STORE));
+        return { transaction, request };
+    },
+
+    /**
+     * Wait for a transaction to complete
+     * @returns {Promise} Result of the transaction's request, if it had one
+     */
+    request({ transaction, request }) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Write to the history store (or the whole history to localStorage without IndexedDB)
+     * @param {Function} work - Receives the object store
+     * @returns {Promise<void>} Rejects when the write failed
+     */
+    async write(work) {
+        if (!this.db) {
+            localStorage.setItem(Properties.key(this.STORAGE_KEY), JSON.stringify(this.history));
+            return;
+        }
+
+        await this.request(this.historyStore('readwrite', work));
+    },
+
+    /**
+     * Write to the history store in the background
+     * @param {Function} work - Receives the object store
+     */
+    persist(work) {
+        this.write(work).catch(e => console.error('Error saving history:', e));
+    },
+
+    /**
+     * Write one entry, reducing its photos while storage is full
+     * @param {Object} entry - History entry, already in this.history
+     * @returns {Promise<Object|null>} The entry as stored, or null when it could not be written
+     */
+    async persistEntry(entry) {
+        let current = entry;
+
+        for (let step = 0; ; step++) {
+            try {
+                await this.write(store => { store.put(this.toRecord(current)); });
+                if (current !== entry) {
+                    this.onPhotosReduced?.(current, !current.photos);
+                }
+                return current;
+            } catch (e) {
+                if (e?.name !== 'QuotaExceededError' || !current.photos) {
+                    console.error('Error saving history:', e);
+                    return null;
+                }
+            }
+
+            const reduced = await Photos.reduce(current.photos, step);
+
+            // Start from the in-memory entry, which may have changed (e.g. a payment) meanwhile
+            const index = this.history.findIndex(item => item.id === entry.id);
+            const { photos, ...rest } = index !== -1 ? this.history[index] : current;
+            current = reduced ? { ...rest, photos: reduced } : rest;
+            if (index !== -1) this.history[index] = current;
+        }
+    },
+
+    /**
+     * History saved in localStorage (by older versions, or when IndexedDB is unavailable)
+     * @returns {Array} Entries, newest first
+     */
+    readLocalHistory() {
+        try {
+            const data = localStorage.getItem(Properties.key(this.STORAGE_KEY));
+            return data ? JSON.parse(data).map(entry => this.normalizeEntry(entry)) : [];
         } catch (e) {
             console.error('Error reading from localStorage:', e);
             return [];
         }
     },
 
+    /**
+     * Get all saved calculations
+     * @returns {Array} Array of saved calculation results, newest first
+     */
+    getAll() {
+        return [...this.history];
+    },
+
     /**
      * Save a calculation result
      * @param {Object} result - Calculation result from Calculator.calculate()
+     * @returns {Promise<Object|null>} The saved entry once it is stored, or null when it could not be written
      */
-    save(result) {
-        try {
-            const history = this.getAll();
-            const entry = {
-                id: Date.now().toString(),
-                date: new Date().toISOString(),
-                ...result
-            };
-            history.unshift(entry); // Add to beginning
-            
-            // Keep max 50 entries
-            if (history.length > 50) {
-                history.pop();
-            }
+    async save(result) {
+        // Ids are the save time; bump it if two saves land on the same millisecond
+        let id = Date.now();
+        while (this.history.some(entry => entry.id === String(id))) {
+            id++;
+        }
 
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(history));
-            return entry;
-        } catch (e) {
-            console.error('Error saving to localStorage:', e);
-            return null;
+        const entry = {
+            id: String(id),
+            date: new Date().toISOString(),
+            ...result
+        };
+        this.history.unshift(entry); // Add to beginning
+
+        const stored = await this.persistEntry(entry);
+        if (!stored) {
+            this.history = this.history.filter(item => item.id !== entry.id);
         }
+        return stored;
+    },
+
+    /**
+     * Replace a saved calculation with a corrected one. The entry keeps its id and
+     * save date, and each correction is added to its `revisions` audit trail.
+     * @param {string} id - Entry ID
+     * @param {Object} result - Corrected calculation result
+     * @param {Array} changes - What changed: { label, from, to }
+     * @returns {Promise<Object|null>} Updated entry once it is stored, or null when there is
+     *                                 no such entry or it could not be written
+     */
+    async update(id, result, changes) {
+        const index = this.history.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        const previous = this.history[index];
+        const revisedAt = new Date().toISOString();
+        const entry = {
+            ...result,
+            id,
+            date: previous.date,
+            payments: previous.payments,
+            revisedAt,
+            revisions: [...(previous.revisions || []), { date: revisedAt, changes }]
+        };
+
+        this.history[index] = entry;
+
+        const stored = await this.persistEntry(entry);
+        if (!stored) {
+            const current = this.history.findIndex(item => item.id === id);
+            if (current !== -1) this.history[current] = previous;
+        }
+        return stored;
+    },
+
+    /**
+     * Record a payment toward a unit's share of a saved calculation
+     * @param {string} id - Entry ID
+     * @param {string} unitId - Unit that paid
+     * @param {Object} payment - { date: 'YYYY-MM-DD', amount, method }
+     * @returns {Promise<Object|null>} Updated entry once it is stored, or null when there is
+     *                                 no such entry or it could not be written
+     */
+    addPayment(id, unitId, payment) {
+        return this.updatePayments(id, unitId, payments => [...payments, payment]);
+    },
+
+    /**
+     * Remove a recorded payment
+     * @param {string} id - Entry ID
+     * @param {string} unitId - Unit that paid
+     * @param {number} index - Position of the payment in the unit's list
+     * @returns {Promise<Object|null>} Updated entry once it is stored, or null when there is
+     *                                 no such entry or it could not be written
+     */
+    deletePayment(id, unitId, index) {
+        return this.updatePayments(id, unitId, payments => payments.filter((payment, i) => i !== index));
+    },
+
+    /**
+     * Change the payments list of a unit in a saved calculation
+     * @returns {Promise<Object|null>} See addPayment()
+     */
+    async updatePayments(id, unitId, change) {
+        const index = this.history.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        const previous = this.history[index];
+        const payments = { ...previous.payments };
+        payments[unitId] = change(payments[unitId] || []);
+
+        const entry = { ...previous, payments };
+        this.history[index] = entry;
+
+        const stored = await this.persistEntry(entry);
+        if (!stored) {
+            const current = this.history.findIndex(item => item.id === id);
+            if (current !== -1) this.history[current] = previous;
+        }
+        return stored;
+    },
+
+    /**
+     * Replace the whole history (used by import after merging)
+     * @param {Array} history - Entries, newest first
+     * @returns {number} Number of entries saved
+     */
+    saveAll(history) {
+        this.history = [...history];
+        this.persist(store => {
+            this.deleteRecords(store, history.map(entry => entry.id), () => {
+                history.forEach(entry => store.put(this.toRecord(entry)));
+            });
+        });
+        return history.length;
     },
 
     /**
@@ -51,30 +377,126 @@ const Storage = {
      * @param {string} id - Entry ID
      */
     delete(id) {
+        this.history = this.history.filter(entry => entry.id !== id);
+        this.persist(store => { store.delete([Properties.getActiveId(), id]); });
+        return true;
+    },
+
+    /**
+     * Clear all history
+     */
+    clearAll() {
+        this.history = [];
+        this.persist(store => { this.deleteRecords(store); });
+        return true;
+    },
+
+    /**
+     * Delete all history of a property (when the property itself is removed)
+     * @param {string} propertyId - Property ID
+     * @returns {Promise<void>} Resolves once the records are gone
+     */
+    async deleteProperty(propertyId) {
+        if (propertyId === Properties.getActiveId()) {
+            this.history = [];
+        }
+        if (!this.db) return;
+
+        try {
+            await this.request(this.historyStore('readwrite', store => {
+                const keys = store.index('propertyId').getAllKeys(propertyId);
+                keys.onsuccess = () => keys.result.forEach(key => store.delete(key));
+            }));
+        } catch (e) {
+            console.error('Error deleting property history from IndexedDB:', e);
+        }
+    },
+
+    /**
+     * Get the user-added tariff periods
+     * @returns {Object} Tariff periods per bill type: { electricity: [...], water: [...] }
+     */
+    getCustomRates() {
+        try {
+            const data = localStorage.getItem(Properties.key(this.CUSTOM_RATES_KEY));
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.error('Error reading custom rates from localStorage:', e);
+            return {};
+        }
+    },
+
+    /**
+     * Add a tariff period, replacing any user-added period with the same date
+     * @param {string} billType - 'electricity' or 'water'
+     * @param {Object} entry - { effectiveFrom: 'YYYY-MM-DD', ...price fields }
+     */
+    addCustomRate(billType, entry) {
         try {
-            const history = this.getAll();
-            const filtered = history.filter(entry => entry.id !== id);
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(filtered));
+            const rates = this.getCustomRates();
+            const periods = (rates[billType] || []).filter(p => p.effectiveFrom !== entry.effectiveFrom);
+            periods.push(entry);
+            rates[billType] = periods.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+            localStorage.setItem(Properties.key(this.CUSTOM_RATES_KEY), JSON.stringify(rates));
             return true;
         } catch (e) {
-            console.error('Error deleting from localStorage:', e);
+            console.error('Error saving custom rate to localStorage:', e);
             return false;
         }
     },
 
     /**
-     * Clear all history
+     * Replace all user-added tariff periods (used by import)
+     * @param {Object} rates - Tariff periods per bill type
      */
-    clearAll() {
+    saveCustomRates(rates) {
+        try {
+            localStorage.setItem(Properties.key(this.CUSTOM_RATES_KEY), JSON.stringify(rates));
+            return true;
+        } catch (e) {
+            console.error('Error saving custom rates to localStorage:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Delete a user-added tariff period
+     * @param {string} billType - 'electricity' or 'water'
+     * @param {string} effectiveFrom - Effective date of the period to delete
+     */
+    deleteCustomRate(billType, effectiveFrom) {
         try {
-            localStorage.removeItem(this.STORAGE_KEY);
+            const rates = this.getCustomRates();
+            rates[billType] = (rates[billType] || []).filter(p => p.effectiveFrom !== effectiveFrom);
+            localStorage.setItem(Properties.key(this.CUSTOM_RATES_KEY), JSON.stringify(rates));
             return true;
         } catch (e) {
-            console.error('Error clearing localStorage:', e);
+            console.error('Error deleting custom rate from localStorage:', e);
             return false;
         }
     },
 
+    /**
+     * Convert entries saved before multi-unit support (fixed unit1/unit2
+     * fields) to the current shape with a `units` array
+     * @param {Object} entry - Stored entry
+     * @returns {Object} Entry with a `units` array
+     */
+    normalizeEntry(entry) {
+        if (Array.isArray(entry.units) || !entry.unit1 || !entry.unit2) {
+            return entry;
+        }
+
+        const { unit1, unit2, meters, ...rest } = entry;
+        return {
+            ...rest,
+            units: [
+                { id: 'unit1', name: 'יחידה 1', remainder: true, ...unit1, meter: null },
+                { id: 'unit2', name: 'יחידה 2', remainder: false, ...unit2, meter: meters?.sub || null }
+            ]
+        };
+    },
+
     /**
      * Format a date string for display
      * @param {string} isoDate - ISO date string
@@ -0,0 +1,137 @@
+/**
+ * Service worker - lets the app open and run OCR with no connection
+ *
+ * The app shell is cached when the worker installs, together with the bundled
+ * Tesseract engine, its language data (see vendor/tesseract/README.md) and the
+ * Heebo font. When the page had to fall back to Tesseract's CDN, those files are
+ * cached the first time they are used. Bump CACHE_VERSION when
+ * the shell changes: the new worker waits until the app asks it to take over
+ * (see the update banner in app.js).
+ */
+
+const CACHE_VERSION = 'v20';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'runtime';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+    'css/style.css',
+    'css/statement.css',
+    'js/rates.js',
+    'js/properties.js',
+    'js/settings.js',
+    'js/calculator.js',
+    'js/photos.js',
+    'js/camera.js',
+    'js/storage.js',
+    'js/stats.js',
+    'js/charts.js',
+    'js/anomalies.js',
+    'js/backup.js',
+    'js/payments.js',
+    'js/settlement.js',
+    'js/statement.js',
+    'js/imaging.js',
+    'js/parsers.js',
+    'js/ocr.js',
+    'js/app.js'
+];
+
+// Bundled OCR engine, language data and font
+const VENDOR_FILES = [
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract/tesseract-core-simd-lstm.wasm.js',
+    'vendor/tesseract/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract/lang/eng.traineddata.gz',
+    'vendor/tesseract/lang/heb.traineddata.gz',
+    'vendor/heebo/heebo.css',
+    'vendor/heebo/heebo-hebrew-300-normal.woff2',
+    'vendor/heebo/heebo-latin-300-normal.woff2',
+    'vendor/heebo/heebo-hebrew-400-normal.woff2',
+    'vendor/heebo/heebo-latin-400-normal.woff2',
+    'vendor/heebo/heebo-hebrew-500-normal.woff2',
+    'vendor/heebo/heebo-latin-500-normal.woff2',
+    'vendor/heebo/heebo-hebrew-600-normal.woff2',
+    'vendor/heebo/heebo-latin-600-normal.woff2',
+    'vendor/heebo/heebo-hebrew-700-normal.woff2',
+    'vendor/heebo/heebo-latin-700-normal.woff2'
+];
+
+// Hosts whose files are kept after the first use: Tesseract and its language data from the CDN
+const RUNTIME_HOSTS = [
+    'cdn.jsdelivr.net',
+    'tessdata.projectnaptha.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll([...APP_SHELL, ...VENDOR_FILES]);
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(fromShell(request));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(fromRuntimeCache(request));
+    }
+});
+
+/**
+ * App files: cached copy first, so the app opens with no connection
+ */
+async function fromShell(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Opening the app offline from another URL still gets the page
+        if (request.mode === 'navigate') {
+            return caches.match('index.html');
+        }
+        throw error;
+    }
+}
+
+/**
+ * CDN files: cached copy when there is one (these URLs are versioned), else fetch and keep it
+ */
+async function fromRuntimeCache(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
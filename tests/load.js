@@ -0,0 +1,35 @@
+/**
+ * Loads the app's scripts into a sandbox the way index.html does: as classic scripts
+ * sharing one global scope, so modules refer to each other by their global names.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run app scripts in a fresh sandbox
+ * @param {Array} files - Script paths relative to the project root, in load order
+ * @returns {Function} Evaluates an expression in the sandbox and returns a copy of its value,
+ *                     so assert's deep comparisons don't trip over the sandbox's own prototypes
+ */
+function load(files) {
+    const context = vm.createContext({ console });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return expression => structuredClone(vm.runInContext(expression, context));
+}
+
+/**
+ * Text of a fixture from tests/fixtures
+ * @param {string} name - File name
+ * @returns {string}
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+module.exports = { load, fixture };
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fixture } = require('./load');
+
+const run = load(['js/rates.js', 'js/parsers.js', 'js/ocr.js']);
+
+/**
+ * OCR.extractReceiptData() of a receipt text
+ */
+function extract(text, billType) {
+    return run(`OCR.extractReceiptData(${JSON.stringify(text)}, ${JSON.stringify(billType)})`);
+}
+
+test('reads an electricity company bill', () => {
+    const result = extract(fixture('iec-bill.txt'), 'electricity');
+
+    assert.equal(result.found, true);
+    assert.equal(result.totalBill, 354);
+    assert.equal(result.consumption, 500);
+    assert.deepEqual(result.period, { start: '2025-01-01', end: '2025-02-28' });
+    assert.deepEqual(result.lineItems, [
+        { label: 'תשלום קבוע', amount: 38.5, policy: 'equal' },
+        { label: 'מע"מ', amount: 54, policy: 'consumption' }
+    ]);
+    assert.equal(result.bill.parser, 'iec');
+    assert.equal(result.estimated, false);
+});
+
+test('reads a water corporation bill, sewage included', () => {
+    const result = extract(fixture('water-bill.txt'), 'water');
+
+    assert.equal(result.totalBill, 468);
+    assert.equal(result.consumption, 32);
+    assert.deepEqual(result.period, { start: '2024-11-01', end: '2024-12-31' });
+    assert.deepEqual(result.lineItems, [
+        { label: 'תשלום קבוע', amount: 12.3, policy: 'equal' },
+        { label: 'ביוב', amount: 120.5, policy: 'consumption' },
+        { label: 'מע"מ', amount: 68, policy: 'consumption' }
+    ]);
+    assert.equal(result.bill.parser, 'waterCorporation');
+});
+
+test('an estimated bill is flagged', () => {
+    const text = fixture('iec-bill.txt').replace('צריכה בקוט"ש 500', 'צריכה משוערת בקוט"ש 500');
+    assert.equal(extract(text, 'electricity').estimated, true);
+});
+
+test('a parser field below the confidence threshold does not replace the guess', () => {
+    // The readings say 300 kWh, so the labeled 250 is doubtful and the first kWh figure stays
+    const text = 'חברת החשמל קוט"ש 420 קריאה קודמת 1000 קריאה נוכחית 1300 צריכה 250 סה"כ לתשלום 500.00';
+    const result = extract(text, 'electricity');
+
+    assert.equal(result.bill.fields.consumption.value, 250);
+    assert.ok(result.bill.fields.consumption.confidence < run('OCR.LOW_CONFIDENCE'));
+    assert.equal(result.consumption, 420);
+    assert.equal(result.totalBill, 500);
+});
+
+test('line items from the bill parser stay below the bill total', () => {
+    const text = 'חברת החשמל מספר חוזה 1 תשלום קבוע 60.00 מע"מ 50.00 סה"כ לתשלום 100.00';
+    const result = extract(text, 'electricity');
+
+    assert.equal(result.totalBill, 100);
+    assert.deepEqual(result.lineItems, [{ label: 'תשלום קבוע', amount: 60, policy: 'equal' }]);
+});
+
+test('a doubtful parser line item is left out', () => {
+    const text = 'חברת החשמל מספר חוזה 1 תשלום קבוע 150.00 סה"כ לתשלום 100.00';
+    const result = extract(text, 'electricity');
+
+    assert.equal(result.bill.fields.fixedCharges.confidence, 20);
+    assert.deepEqual(result.lineItems, []);
+});
+
+test('empty text finds nothing', () => {
+    assert.deepEqual(extract('  ', 'water'), {
+        found: false, totalBill: null, consumption: null, lineItems: [], period: null, bill: null, estimated: false, rawText: ''
+    });
+});
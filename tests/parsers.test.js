@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fixture } = require('./load');
+
+const run = load(['js/rates.js', 'js/parsers.js', 'js/ocr.js']);
+
+/**
+ * BillParsers.parse() of a fixture, normalized the way extractReceiptData() does
+ */
+function parse(name, billType) {
+    return run(`BillParsers.parse(OCR.normalizeReceiptText(${JSON.stringify(fixture(name))}), ${JSON.stringify(billType)})`);
+}
+
+/**
+ * Confidence of each field BillParsers.score() gives a set of raw values
+ */
+function confidences(values) {
+    const fields = run(`BillParsers.score(${JSON.stringify(values)})`);
+    return Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, field.confidence]));
+}
+
+test('parses an electricity company bill', () => {
+    assert.deepEqual(parse('iec-bill.txt', 'electricity'), {
+        parser: 'iec',
+        name: 'חברת החשמל',
+        fields: {
+            period: { value: { start: '2025-01-01', end: '2025-02-28' }, confidence: 90 },
+            previousReading: { value: 12345, confidence: 95 },
+            currentReading: { value: 12845, confidence: 95 },
+            consumption: { value: 500, confidence: 95 },
+            fixedCharges: { value: 38.5, confidence: 75 },
+            vat: { value: 54, confidence: 95 },
+            totalBill: { value: 354, confidence: 95 },
+            dueDate: { value: '2025-03-20', confidence: 85 }
+        }
+    });
+});
+
+test('parses a water corporation bill', () => {
+    assert.deepEqual(parse('water-bill.txt', 'water'), {
+        parser: 'waterCorporation',
+        name: 'תאגיד המים',
+        fields: {
+            period: { value: { start: '2024-11-01', end: '2024-12-31' }, confidence: 90 },
+            previousReading: { value: 540, confidence: 95 },
+            currentReading: { value: 572, confidence: 95 },
+            consumption: { value: 32, confidence: 95 },
+            fixedCharges: { value: 12.3, confidence: 75 },
+            vat: { value: 68, confidence: 95 },
+            totalBill: { value: 468, confidence: 95 },
+            dueDate: { value: '2025-01-15', confidence: 85 }
+        }
+    });
+});
+
+test('only parsers of the bill type recognize a bill', () => {
+    assert.equal(parse('iec-bill.txt', 'water'), null);
+    assert.equal(run(`BillParsers.parse('קבלה מהמכולת 25.00', 'electricity')`), null);
+});
+
+test('fields that are not cross-checked keep the base confidence', () => {
+    assert.deepEqual(confidences({ totalBill: 300, fixedCharges: 40 }), { totalBill: 75, fixedCharges: 75 });
+});
+
+test('readings that add up to the consumption are confident', () => {
+    assert.deepEqual(confidences({ previousReading: 100, currentReading: 150, consumption: 50 }),
+        { previousReading: 95, currentReading: 95, consumption: 95 });
+});
+
+test('readings that disagree with the consumption are doubtful', () => {
+    assert.deepEqual(confidences({ previousReading: 100, currentReading: 150, consumption: 80 }),
+        { previousReading: 40, currentReading: 40, consumption: 40 });
+});
+
+test('readings that do not go up are doubtful', () => {
+    assert.deepEqual(confidences({ previousReading: 150, currentReading: 100, consumption: 50 }),
+        { previousReading: 30, currentReading: 30, consumption: 75 });
+});
+
+test('consumption missing from the bill comes from the readings', () => {
+    const fields = run(`BillParsers.score({ previousReading: 100, currentReading: 137.5 })`);
+    assert.deepEqual(fields.consumption, { value: 37.5, confidence: 70 });
+});
+
+test('VAT that matches the total confirms both, at either VAT rate', () => {
+    assert.deepEqual(confidences({ totalBill: 354, vat: 54 }), { totalBill: 95, vat: 95 });
+    assert.deepEqual(confidences({ totalBill: 468, vat: 68 }), { totalBill: 95, vat: 95 });
+    assert.deepEqual(confidences({ totalBill: 354, vat: 20 }), { totalBill: 75, vat: 75 });
+});
+
+test('charges that are not less than the total are doubtful', () => {
+    assert.deepEqual(confidences({ totalBill: 100, fixedCharges: 100, vat: 120 }),
+        { totalBill: 75, fixedCharges: 20, vat: 20 });
+});
+
+test('a billing period is checked for its length', () => {
+    assert.deepEqual(confidences({ period: { start: '2025-01-01', end: '2025-02-28' } }), { period: 90 });
+    assert.deepEqual(confidences({ period: { start: '2025-01-01', end: '2025-07-01' } }), { period: 30 });
+    assert.deepEqual(confidences({ period: { start: '2025-03-01', end: '2025-01-01' } }), { period: 30 });
+});
+
+test('a due date is checked against the end of the period', () => {
+    const period = { start: '2025-01-01', end: '2025-02-28' };
+    assert.deepEqual(confidences({ period, dueDate: '2025-03-20' }), { period: 90, dueDate: 85 });
+    assert.deepEqual(confidences({ period, dueDate: '2025-02-01' }), { period: 90, dueDate: 40 });
+    assert.deepEqual(confidences({ dueDate: '2025-03-20' }), { dueDate: 75 });
+});
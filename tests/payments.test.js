@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const run = load(['js/rates.js', 'js/stats.js', 'js/payments.js']);
+
+const UNITS = [{ id: 'unit1', name: 'דירה 1' }, { id: 'unit2', name: 'דירה 2', remainder: true }];
+
+/**
+ * A saved bill: the unit's share and what it paid toward it
+ */
+function bill(id, period, owed, paid = []) {
+    return {
+        id,
+        date: `${period.end}T12:00:00.000Z`,
+        billType: 'electricity',
+        period,
+        units: [{ id: 'unit1', amount: owed }, { id: 'unit2', amount: 100 }],
+        payments: { unit1: paid.map(amount => ({ date: period.end, amount, method: 'bit' })) }
+    };
+}
+
+/**
+ * Payments.getBalances() of a history, newest first as Storage keeps it
+ */
+function balances(history) {
+    return run(`Payments.getBalances(${JSON.stringify(history)}, ${JSON.stringify(UNITS)})`);
+}
+
+const JANUARY = { start: '2025-01-01', end: '2025-02-28' };
+const MARCH = { start: '2025-03-01', end: '2025-04-30' };
+
+test('the balance runs across the bills in period order', () => {
+    const [balance] = balances([bill('2', MARCH, 250, [100]), bill('1', JANUARY, 200, [150])]);
+
+    assert.equal(balance.unitId, 'unit1');
+    assert.deepEqual(balance.ledger.map(row => [row.entry.id, row.owed, row.paid, row.status, row.balance]), [
+        ['1', 200, 150, 'partial', 50],
+        ['2', 250, 100, 'partial', 200]
+    ]);
+    assert.equal(balance.owed, 450);
+    assert.equal(balance.paid, 250);
+    assert.equal(balance.balance, 200);
+});
+
+test('a bill saved twice is owed once', () => {
+    const history = [bill('3', MARCH, 250), bill('2', MARCH, 250), bill('1', JANUARY, 200, [200])];
+    const [balance] = balances(history);
+
+    assert.deepEqual(balance.ledger.map(row => row.entry.id), ['1', '3']);
+    assert.equal(balance.owed, 450);
+    assert.equal(balance.balance, 250);
+});
+
+test('only tracked units get a balance', () => {
+    assert.deepEqual(balances([bill('1', JANUARY, 200)]).map(balance => balance.unitId), ['unit1']);
+});